@@ -1,21 +1,54 @@
 const {Firestore} = require('@google-cloud/firestore');
-const firestore = new Firestore();
+const {addRollups} = require('./rollups');
+// Publishers only send the fields that apply to their activity
+const firestore = new Firestore({ignoreUndefinedProperties: true});
 
 exports.logPatientActivity = async (pubsubMessage, context) => {
     const data = JSON.parse(Buffer.from(pubsubMessage.data, 'base64').toString());
+    // Links this row to the call's intake_timeline; absent on older messages
+    const correlationId = pubsubMessage.attributes?.correlationId || null;
+    const now = new Date();
     
-    // Store in Firestore (automatically encrypted at rest)
-    await firestore.collection('patient_activity_log').add({
-        patientId: data.patientId,
-        lastName: data.lastName,
-        activityType: data.activityType, // 'PATIENT_CREATED' or 'APPOINTMENT_BOOKED'
-        appointmentId: data.appointmentId || null,
-        appointmentDateTime: data.appointmentDateTime || null,
-        callDateTime: new Date(),
-        timestamp: new Date(),
-        status: data.status
+    // Keyed on the event ID: a redelivered message neither adds a second row nor counts twice
+    const logCollection = firestore.collection('patient_activity_log');
+    const logRef = context?.eventId ? logCollection.doc(context.eventId) : logCollection.doc();
+    
+    // Store in Firestore (automatically encrypted at rest), with the day's and hour's rollups
+    const logged = await firestore.runTransaction(async (transaction) => {
+        const existing = await transaction.get(logRef);
+        if (existing.exists) return false;
+        
+        transaction.set(logRef, {
+            patientId: data.patientId || null,
+            lastName: data.lastName,
+            activityType: data.activityType, // e.g. 'CALL_RECEIVED', 'PATIENT_CREATED', 'APPOINTMENT_BOOKED', 'APPOINTMENT_MOVED'
+            pathwayId: data.pathwayId || null,
+            failureType: data.failureType || null,
+            appointmentId: data.appointmentId || null,
+            appointmentDateTime: data.appointmentDateTime || null,
+            appointmentMovedFrom: data.appointmentMovedFrom || null,
+            appointmentStatus: data.appointmentStatus || null,
+            previousAppointmentStatus: data.previousAppointmentStatus || null,
+            correlationId: correlationId,
+            callDateTime: now,
+            timestamp: now,
+            status: data.status
+        });
+        addRollups(transaction, firestore, data, now);
+        return true;
     });
     
+    if (!logged) {
+        console.log(`Activity ${logRef.id} already logged - skipping`);
+        return;
+    }
+    
+    // Call and failure activities have no patient summary to update
+    if (!data.patientId || data.status === 'failed') {
+        console.log(`Logged ${data.activityType} activity`);
+        return;
+    }
+    
     // Also create/update summary record for easy viewing
     await firestore.collection('patient_summary').doc(data.patientId).set({
         patientId: data.patientId,
@@ -23,6 +56,9 @@ exports.logPatientActivity = async (pubsubMessage, context) => {
         lastActivity: new Date(),
         appointmentId: data.appointmentId || null,
         appointmentDateTime: data.appointmentDateTime || null,
+        appointmentMovedFrom: data.appointmentMovedFrom || null,
+        appointmentStatus: data.appointmentStatus, // booked, checked-in, completed, cancelled, no-show; other activities leave it alone
+        lastCorrelationId: correlationId || undefined,
         totalActivities: Firestore.FieldValue.increment(1),
         callLength: data.callLength,
         lastNodeId: data.lastNodeId,
@@ -31,4 +67,4 @@ exports.logPatientActivity = async (pubsubMessage, context) => {
     }, {merge: true});
     
     console.log(`Logged activity for patient ${data.lastName} (${data.patientId})`);
-};
\ No newline at end of file
+};
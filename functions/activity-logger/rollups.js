@@ -0,0 +1,105 @@
+/**
+ * Funnel rollups for activity-logger
+ * Each activity increments one daily and one hourly doc in activity_rollups
+ * (calls received, valid intakes, patients created, appointments booked,
+ * failures by type), overall and per pathway, so dashboards read a few
+ * pre-aggregated docs instead of the raw log. Counters only ever increment:
+ * average call length is callLengthTotal / callLengthCount.
+ */
+
+const {Firestore} = require('@google-cloud/firestore');
+
+// Days and hours follow the practice's clock, like the dashboard sheet
+const ROLLUP_TIME_ZONE = 'America/Los_Angeles';
+
+// Activity type -> funnel counter it advances
+const FUNNEL_COUNTERS = {
+    CALL_RECEIVED: 'callsReceived',
+    PATIENT_CREATED: 'patientsCreated',
+    PATIENT_MATCHED: 'patientsMatched',
+    APPOINTMENT_BOOKED: 'appointmentsBooked',
+    APPOINTMENT_MOVED: 'appointmentsBooked'
+};
+
+// Daily and hourly doc IDs for a moment, e.g. daily_2024-05-01 and hourly_2024-05-01T14
+function periodKeys(date) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: ROLLUP_TIME_ZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    
+    const day = `${parts.year}-${parts.month}-${parts.day}`;
+    return {daily: day, hourly: `${day}T${parts.hour}`};
+}
+
+// Pathway and node IDs become map keys; keep them plain field names
+function metricKey(value) {
+    return String(value || 'unknown').replace(/[.`/\[\]*~]/g, '_').slice(0, 100);
+}
+
+// Increments one activity adds to a set of counters; null when it counts for nothing
+function metricIncrements(data) {
+    const increment = Firestore.FieldValue.increment;
+    const metrics = {};
+    
+    // bland-webhook publishes CALL_RECEIVED for each delivery that adds a count,
+    // but only the first one for a call is a new call
+    const counter = FUNNEL_COUNTERS[data.activityType];
+    if (counter && !(data.activityType === 'CALL_RECEIVED' && data.newCall === false)) {
+        metrics[counter] = increment(1);
+    }
+    
+    if (data.activityType === 'CALL_RECEIVED') {
+        if (data.intakeValid) metrics.intakesValid = increment(1);
+        
+        // Only the call itself carries its length, once per call; later activities repeat it
+        const callLength = Number(data.callLength);
+        if (data.callLength != null && !isNaN(callLength)) {
+            metrics.callLengthTotal = increment(callLength);
+            metrics.callLengthCount = increment(1);
+        }
+        
+        // Calls that ended before the intake finished, by the pathway node they reached
+        if (data.outcome && data.outcome !== 'completed') {
+            metrics.callsDropped = increment(1);
+            metrics.droppedAtNode = {[metricKey(data.lastNodeId)]: increment(1)};
+        }
+    }
+    
+    if (data.status === 'failed') {
+        metrics.failures = {[metricKey(data.failureType || String(data.activityType).toLowerCase())]: increment(1)};
+    }
+    
+    return Object.keys(metrics).length ? metrics : null;
+}
+
+/**
+ * Add the activity's rollup increments to a transaction or batch.
+ * Returns whether there was anything to count.
+ */
+function addRollups(writer, firestore, data, at) {
+    const metrics = metricIncrements(data);
+    if (!metrics) return false;
+    
+    for (const [period, periodKey] of Object.entries(periodKeys(at))) {
+        writer.set(firestore.collection('activity_rollups').doc(`${period}_${periodKey}`), {
+            period: period,
+            periodKey: periodKey,
+            timeZone: ROLLUP_TIME_ZONE,
+            ...metrics,
+            byPathway: {[metricKey(data.pathwayId)]: metrics},
+            updatedAt: at
+        }, {merge: true});
+    }
+    return true;
+}
+
+module.exports = {
+    ROLLUP_TIME_ZONE,
+    periodKeys,
+    addRollups
+};
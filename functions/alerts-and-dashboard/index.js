@@ -6,6 +6,7 @@
 const {Firestore} = require('@google-cloud/firestore');
 const {google} = require('googleapis');
 const {PubSub} = require('@google-cloud/pubsub');
+const {TIMELINE_EVENTS, correlationIdFrom, appendTimelineEvent} = require('gabar-shared/intake-timeline');
 
 const firestore = new Firestore();
 const pubsub = new PubSub();
@@ -30,6 +31,7 @@ async function authorizeSheets() {
  */
 exports.alertPatientCreated = async (message, context) => {
     const data = JSON.parse(Buffer.from(message.data, 'base64').toString());
+    const correlationId = correlationIdFrom(message);
     
     console.log('Patient created alert:', data.patientId);
     
@@ -73,15 +75,27 @@ exports.alertPatientCreated = async (message, context) => {
             patientId: data.patientId,
             lastName: data.lastName,
             firstName: data.firstName,
+            correlationId: correlationId,
             timestamp: new Date(),
             data: data
         });
         
+        await appendTimelineEvent(firestore, correlationId, {
+            event: TIMELINE_EVENTS.ALERTED,
+            source: 'alerts-and-dashboard',
+            details: {alert: 'patient_created'}
+        });
+        
         console.log('✅ Dashboard updated with new patient');
         return {success: true};
-        
+    
     } catch (error) {
         console.error('Alert failed:', error);
+        await appendTimelineEvent(firestore, correlationId, {
+            event: TIMELINE_EVENTS.FAILED,
+            source: 'alerts-and-dashboard',
+            details: {stage: 'alert', alert: 'patient_created', error: error.message}
+        });
         throw error;
     }
 };
@@ -91,6 +105,7 @@ exports.alertPatientCreated = async (message, context) => {
  */
 exports.alertAppointmentBooked = async (message, context) => {
     const data = JSON.parse(Buffer.from(message.data, 'base64').toString());
+    const correlationId = correlationIdFrom(message);
     
     console.log('Appointment booked alert:', data.appointmentId);
     
@@ -129,6 +144,12 @@ exports.alertAppointmentBooked = async (message, context) => {
             ? `${data.appointmentDate} ${data.appointmentTime}`
             : 'Scheduled';
         
+        // The requested slot was taken and the booker chose the nearest open one
+        const movedFrom = data.movedFrom;
+        const status = movedFrom
+            ? `Appointment Moved (requested ${[movedFrom.date, movedFrom.startTime].filter(Boolean).join(' ') || movedFrom.appointmentId})`
+            : 'Appointment Booked';
+        
         // Prepare row data
         const rowData = [
             bookingTime,                        // Booking Date/Time
@@ -137,7 +158,7 @@ exports.alertAppointmentBooked = async (message, context) => {
             data.patientId || '',               // Athena Patient ID
             data.appointmentId || '',           // Appointment ID
             appointmentDateTime,                // Appointment Date/Time
-            'Appointment Booked',               // Status
+            status,                             // Status
             patientData.email || '',            // Email
             patientData.phone || ''             // Phone
         ];
@@ -154,19 +175,31 @@ exports.alertAppointmentBooked = async (message, context) => {
         
         // Store in Firestore
         await firestore.collection('dashboard_entries').add({
-            type: 'appointment_booked',
+            type: movedFrom ? 'appointment_moved' : 'appointment_booked',
             appointmentId: data.appointmentId,
             patientId: data.patientId,
             lastName: patientData.lastName,
+            correlationId: correlationId,
             timestamp: new Date(),
             data: data
         });
         
+        await appendTimelineEvent(firestore, correlationId, {
+            event: TIMELINE_EVENTS.ALERTED,
+            source: 'alerts-and-dashboard',
+            details: {alert: movedFrom ? 'appointment_moved' : 'appointment_booked', appointmentId: data.appointmentId}
+        });
+        
         console.log('✅ Dashboard updated with appointment booking');
         return {success: true};
-        
+    
     } catch (error) {
         console.error('Alert failed:', error);
+        await appendTimelineEvent(firestore, correlationId, {
+            event: TIMELINE_EVENTS.FAILED,
+            source: 'alerts-and-dashboard',
+            details: {stage: 'alert', alert: 'appointment_booked', error: error.message}
+        });
         throw error;
     }
 };
\ No newline at end of file
@@ -2,96 +2,872 @@
 
 const {Firestore} = require('@google-cloud/firestore');
 const {SecretManagerServiceClient} = require('@google-cloud/secret-manager');
-const axios = require('axios');
+const {KeyManagementServiceClient} = require('@google-cloud/kms');
+const {PubSub} = require('@google-cloud/pubsub');
+const {resolveRouting} = require('gabar-shared/routing');
+const {loadSettings} = require('gabar-shared/settings');
+const {buildAppointmentNote} = require('gabar-shared/appointment-notes');
+const {ERROR_CLASS, classifyAthenaError, publishDeadLetter} = require('gabar-shared/athena-errors');
+const {AthenaClient} = require('gabar-shared/athena-client');
+const {
+  TIMELINE_EVENTS,
+  correlationIdFrom,
+  correlationAttributes,
+  appendTimelineEvent
+} = require('gabar-shared/intake-timeline');
 
 const firestore = new Firestore();
 const secretClient = new SecretManagerServiceClient();
-const PROJECT_ID = 'gabar-ai-athena-integration';
+const kmsClient = new KeyManagementServiceClient();
+const pubsub = new PubSub();
+const athena = new AthenaClient({firestore, pubsub, secretClient, kmsClient});
+
+// How long a booking claim blocks other deliveries for the same slot
+const BOOKING_LEASE_MS = 2 * 60 * 1000;
+
+// Athena appointmentstatus of a slot nobody has booked
+const OPEN_STATUS = 'o';
+// Nearest alternatives tried before the booking goes to staff
+const MAX_ALTERNATIVES = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Claim the appointment slot before booking it in Athena.
+ * `appointments` docs are keyed on the Athena appointment ID, so a Pub/Sub
+ * redelivery finds the earlier booking instead of booking the slot again.
+ * Returns {status: 'claimed' | 'booked' | 'moved' | 'taken' | 'in_progress', record};
+ * 'taken' means the slot is booked for a different patient. `claimFields` are
+ * written with the claim, before Athena is called.
+ */
+async function claimBooking(appointmentRef, patientId, claimFields = {}) {
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(appointmentRef);
+    const record = doc.exists ? doc.data() : null;
+    
+    if (record && (record.status === 'booked' || record.status === 'moved')) {
+      const samePatient = String(record.patientId) === String(patientId);
+      return {status: samePatient ? record.status : 'taken', record};
+    }
+    
+    const startedAt = record?.bookingStartedAt?.toDate?.();
+    if (record && record.status === 'booking' && startedAt &&
+        Date.now() - startedAt.getTime() < BOOKING_LEASE_MS) {
+      return {status: 'in_progress', record};
+    }
+    
+    transaction.set(appointmentRef, {
+      ...claimFields,
+      patientId: patientId,
+      status: 'booking',
+      bookingStartedAt: new Date()
+    }, {merge: true});
+    return {status: 'claimed', record};
+  });
+}
+
+// Athena's MM/DD/YYYY date and HH:MM time as a comparable number
+function slotTime(date, startTime) {
+  const [month, day, year] = date.split('/').map(p => parseInt(p, 10));
+  const [hour, minute] = (startTime || '00:00').split(':').map(p => parseInt(p, 10));
+  return Date.UTC(year, month - 1, day, hour, minute);
+}
+
+/**
+ * appointmentAt for an appointments doc, which appointment-sync range-queries:
+ * Athena's local date and time stored as if UTC. An undated slot uses the
+ * booking time, so it is still checked through the lookback window.
+ */
+function appointmentAt(date, startTime) {
+  return date ? new Date(slotTime(date, startTime)) : new Date();
+}
+
+function toAthenaDate(time) {
+  const date = new Date(time);
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  return `${month}/${day}/${date.getUTCFullYear()}`;
+}
+
+/**
+ * Open slots of the same type and department as a slot that was taken, nearest
+ * first and within the configured window. The original provider's slots are
+ * preferred; other providers are only offered when that provider has none.
+ */
+async function findAlternativeSlots(taken, appointmentTypeId, practiceId, windowDays) {
+  // A slot Athena no longer knows about is searched for from today
+  const takenTime = taken.date ? slotTime(taken.date, taken.starttime) : Date.now();
+  const windowMs = windowDays * DAY_MS;
+  const query = {
+    departmentId: taken.departmentid,
+    appointmentTypeId: appointmentTypeId,
+    startDate: toAthenaDate(Math.max(Date.now(), takenTime - windowMs)),
+    endDate: toAthenaDate(takenTime + windowMs)
+  };
+  
+  const distance = slot => Math.abs(slotTime(slot.date, slot.startTime) - takenTime);
+  const nearest = slots => slots
+    .filter(slot => slot.appointmentId !== String(taken.appointmentid) && distance(slot) <= windowMs)
+    .sort((a, b) => distance(a) - distance(b));
+  
+  if (taken.providerid) {
+    const sameProvider = nearest(await athena.getOpenSlots({...query, providerId: taken.providerid}, {practiceId}));
+    if (sameProvider.length) return sameProvider;
+  }
+  return nearest(await athena.getOpenSlots(query, {practiceId}));
+}
+
+/**
+ * Whether Athena refused a booking because the slot stopped being open between
+ * the availability check and the booking itself
+ */
+function isSlotUnavailableError(error) {
+  const status = error.response?.status;
+  if (status !== 400 && status !== 409) return false;
+  const data = error.response.data || {};
+  const message = [data.error, data.detailedmessage, data.message].filter(Boolean).join(' ');
+  return /already (been )?booked|not (an )?open|no longer (open|available)|not available|unavailable/i.test(message);
+}
+
+/**
+ * The replacement an earlier delivery booked, or claimed and may have booked,
+ * when the requested slot had gone to another patient. That patient keeps the
+ * slot's record, so the replacement is found by the slot the caller asked for.
+ */
+async function findReplacementBooking(data) {
+  const snapshot = await firestore.collection('appointments')
+    .where('patientId', '==', data.patientId)
+    .where('requestedAppointmentId', '==', String(data.appointmentId))
+    .limit(1).get();
+  return snapshot.empty ? null : snapshot.docs[0].data();
+}
+
+/**
+ * Pick up a replacement an earlier delivery claimed or booked but did not get
+ * to record. Its Athena booking is not retried in place, so the slot is checked
+ * in Athena: still ours means it was booked, anything else frees the claim.
+ * Returns {slot, confirmation} or null when there is nothing to resume.
+ */
+async function resumeAlternative(replacement, data, practiceId) {
+  if (!replacement || replacement.appointmentId === String(data.appointmentId)) return null;
+  const bookedSlot = {
+    appointmentId: replacement.appointmentId,
+    date: replacement.appointmentDate || null,
+    startTime: replacement.appointmentTime || null
+  };
+  if (replacement.status === 'booked') {
+    return {slot: bookedSlot, confirmation: replacement.confirmation || null};
+  }
+  
+  const slotRef = firestore.collection('appointments').doc(replacement.appointmentId);
+  const claim = await claimBooking(slotRef, data.patientId, {requestedAppointmentId: String(data.appointmentId)});
+  if (claim.status === 'in_progress') {
+    throw new Error(`Replacement appointment ${replacement.appointmentId} is still being booked`);
+  }
+  if (claim.status !== 'claimed') return null;
+  
+  const slot = await athena.getAppointment(replacement.appointmentId, {practiceId});
+  if (String(slot.patientid) === String(data.patientId)) {
+    console.log(`Replacement appointment ${replacement.appointmentId} was already booked for this patient`);
+    return {slot: {...bookedSlot, date: slot.date || bookedSlot.date, startTime: slot.starttime || bookedSlot.startTime}, confirmation: slot};
+  }
+  await slotRef.delete().catch(console.error);
+  return null;
+}
+
+/**
+ * Book the first alternative slot that can still be had. Each one is claimed
+ * like the original so two bookers never race for the same replacement, and
+ * the claim names the requested slot so a redelivery can find it.
+ * Returns {slot, confirmation} or null when none could be booked.
+ */
+async function bookAlternative(alternatives, data, payload, practiceId) {
+  for (const slot of alternatives.slice(0, MAX_ALTERNATIVES)) {
+    const slotRef = firestore.collection('appointments').doc(slot.appointmentId);
+    const claim = await claimBooking(slotRef, data.patientId, {
+      appointmentId: slot.appointmentId,
+      appointmentDate: slot.date || null,
+      appointmentTime: slot.startTime || null,
+      requestedAppointmentId: String(data.appointmentId)
+    });
+    if (claim.status !== 'claimed') continue;
+    
+    try {
+      const confirmation = await athena.bookAppointment(slot.appointmentId, payload, {practiceId});
+      return {slot, confirmation};
+    } catch (error) {
+      await slotRef.delete().catch(console.error);
+      // Taken by someone else as well: try the next one
+      if (classifyAthenaError(error) !== ERROR_CLASS.PERMANENT) throw error;
+      console.warn(`Alternative slot ${slot.appointmentId} could not be booked: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Write the visit reason and call summary to the booked appointment. A failed
+ * note never undoes the booking; it is logged so staff can add it by hand.
+ * Returns true when a note was added.
+ */
+async function addVisitNote(appointmentId, data, practiceId) {
+  const note = buildAppointmentNote({visitReason: data.visitReason, callSummary: data.callSummary});
+  if (!note) return false;
+  
+  try {
+    await athena.addAppointmentNote(appointmentId, note, {practiceId});
+    console.log(`Added visit note to appointment ${appointmentId}`);
+    return true;
+  } catch (error) {
+    console.error(`Could not add note to appointment ${appointmentId}:`, error.message);
+    await firestore.collection('errors').add({
+      type: 'appointment_note',
+      appointmentId: appointmentId,
+      patientId: data.patientId,
+      queueId: data.originalRecordId || null,
+      error: error.message,
+      classification: classifyAthenaError(error),
+      attempts: error.attempts || 1,
+      details: error.response?.data || {},
+      note: note,
+      timestamp: new Date()
+    });
+    return false;
+  }
+}
+
+// No equivalent slot within the window: staff have to call the patient back
+async function holdForSlotReview(data, taken, windowDays) {
+  console.log(`No alternative for taken slot ${data.appointmentId} within ${windowDays} days - sending to staff`);
+  
+  if (data.originalRecordId) {
+    await firestore.collection('staff_reviews').doc(`${data.originalRecordId}_appointment`).set({
+      type: 'slot_unavailable',
+      reason: 'no_alternative_slot',
+      queueId: data.originalRecordId,
+      athenaPatientId: data.patientId,
+      appointmentId: data.appointmentId,
+      appointmentDate: taken.date || null,
+      appointmentTime: taken.starttime || null,
+      windowDays: windowDays,
+      status: 'open',
+      createdAt: new Date()
+    });
+    
+    await firestore.collection('patient_intake_queue').doc(data.originalRecordId).update({
+      appointmentBooked: false,
+      appointmentStatus: 'review'
+    });
+  }
+}
+
+// Count a booking that will not happen in the activity rollups; only final failures are counted
+async function publishBookingFailure(data, failureType, correlationId) {
+  await pubsub.topic('patient-activity').publishMessage({
+    data: Buffer.from(JSON.stringify({
+      patientId: data.patientId,
+      activityType: 'APPOINTMENT_BOOKING_FAILED',
+      status: 'failed',
+      failureType: failureType,
+      appointmentId: String(data.appointmentId),
+      pathwayId: data.pathwayId || null
+    })),
+    attributes: correlationAttributes(correlationId)
+  }).catch(console.error);
+}
+
+/**
+ * Claim a booked appointment for a cancel or reschedule, the same way bookings
+ * are claimed. Only an appointment we booked for the message's patient can be
+ * changed. The record's earlier status is kept so a failed attempt can put it back.
+ * Returns {status: 'claimed' | 'done' | 'in_progress' | 'rejected', record, reason}.
+ */
+async function claimAppointmentChange(appointmentRef, patientId, workingStatus, doneStatus) {
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(appointmentRef);
+    const record = doc.exists ? doc.data() : null;
+    
+    if (!record) {
+      return {status: 'rejected', record, reason: 'has no booking record'};
+    }
+    if (String(record.patientId) !== String(patientId)) {
+      return {status: 'rejected', record, reason: 'is booked for another patient'};
+    }
+    
+    if (record.status === doneStatus) {
+      return {status: 'done', record};
+    }
+    
+    const startedAt = record.changeStartedAt?.toDate?.();
+    if (record.status === workingStatus && startedAt &&
+        Date.now() - startedAt.getTime() < BOOKING_LEASE_MS) {
+      return {status: 'in_progress', record};
+    }
+    
+    // A change that died mid-way left the status it started from
+    const statusBefore = record.status === workingStatus ? record.statusBeforeChange : record.status;
+    if (statusBefore !== 'booked') {
+      return {status: 'rejected', record, reason: `is ${statusBefore || 'not booked'}`};
+    }
+    
+    transaction.set(appointmentRef, {
+      status: workingStatus,
+      statusBeforeChange: statusBefore,
+      changeStartedAt: new Date()
+    }, {merge: true});
+    return {status: 'claimed', record};
+  });
+}
+
+// Put a claimed appointment back the way it was after a failed cancel or reschedule
+async function releaseAppointmentChange(appointmentRef, claim) {
+  await appointmentRef.set({
+    status: claim.record.statusBeforeChange || claim.record.status || 'booked',
+    statusBeforeChange: null,
+    changeStartedAt: null
+  }, {merge: true});
+}
+
+/**
+ * Athena appointmentcancelreasonid for a message: an explicit ID wins, then the
+ * practice's mapping in configuration/settings for the reason key
+ */
+async function resolveCancelReasonId(data) {
+  if (data.cancelReasonId) return String(data.cancelReasonId);
+  
+  const settings = await loadSettings(firestore);
+  const reasons = settings.appointmentCancelReasons || {};
+  const reasonId = reasons[data.reason] || reasons.default;
+  if (!reasonId) {
+    throw new Error(`No Athena cancel reason configured for "${data.reason || 'default'}"`);
+  }
+  return String(reasonId);
+}
+
+// The patients doc for a message, by intake ID or else by Athena patient ID
+async function findPatientRecord(data) {
+  if (data.originalRecordId) {
+    const patientDoc = await firestore.collection('patients').doc(data.originalRecordId).get();
+    if (patientDoc.exists) return {ref: patientDoc.ref, data: patientDoc.data()};
+  }
+  const patientQuery = await firestore.collection('patients')
+    .where('athenaPatientId', '==', String(data.patientId))
+    .limit(1).get();
+  if (patientQuery.empty) return null;
+  return {ref: patientQuery.docs[0].ref, data: patientQuery.docs[0].data()};
+}
+
+// errors entry, then dead-letter a permanent failure or rethrow for redelivery
+async function handleAppointmentChangeError(error, type, data, correlationId) {
+  const classification = classifyAthenaError(error);
+  console.error(`Appointment ${type} failed (${classification}):`, error.message);
+  if (error.response) {
+    console.error('Response:', error.response.data);
+  }
+  
+  await firestore.collection('errors').add({
+    type: `appointment_${type}`,
+    appointmentId: data.appointmentId,
+    patientId: data.patientId,
+    queueId: data.originalRecordId || null,
+    correlationId: correlationId,
+    error: error.message,
+    classification: classification,
+    attempts: error.attempts || 1,
+    details: error.response?.data || {},
+    timestamp: new Date()
+  });
+  
+  if (classification === ERROR_CLASS.PERMANENT) {
+    await publishDeadLetter(pubsub, {
+      functionName: 'appointment-booker',
+      payload: data,
+      error
+    });
+    return {success: false, deadLettered: true};
+  }
+  throw error;
+}
 
 exports.bookAppointment = async (message, context) => {
   const data = JSON.parse(Buffer.from(message.data, 'base64').toString());
+  const correlationId = correlationIdFrom(message);
+  const timelineLinks = {queueId: data.originalRecordId, athenaPatientId: data.patientId};
   
   console.log('Booking appointment for patient:', data.patientId);
   console.log('Appointment ID:', data.appointmentId);
   
-  try {
-    // Get OAuth token
-    const tokenDoc = await firestore.collection('api_tokens').doc('athena-current').get();
-    if (!tokenDoc.exists) {
-      throw new Error('No valid token found');
+  const appointmentRef = firestore.collection('appointments').doc(String(data.appointmentId));
+  const claim = await claimBooking(appointmentRef, data.patientId);
+  
+  if (claim.status === 'booked' || claim.status === 'moved') {
+    console.log(`Appointment ${data.appointmentId} already ${claim.status} - skipping`);
+    return {success: true, duplicate: true};
+  }
+  
+  // Offered to two callers from the slot cache: this patient needs another slot
+  const ownsRequestedSlot = claim.status === 'claimed';
+  if (claim.status === 'taken') {
+    const replacement = await findReplacementBooking(data);
+    if (replacement && replacement.status !== 'booking') {
+      console.log(`Appointment ${data.appointmentId} was already replaced by ${replacement.appointmentId} - skipping`);
+      return {success: true, duplicate: true};
     }
-    const tokenData = tokenDoc.data();
-    
-    // Get secrets
-    const [practiceIdSecret] = await secretClient.accessSecretVersion({
-      name: `projects/${PROJECT_ID}/secrets/athena-practice-id/versions/latest`
-    });
-    const [baseUrlSecret] = await secretClient.accessSecretVersion({
-      name: `projects/${PROJECT_ID}/secrets/athena-base-url/versions/latest`
-    });
+    console.warn(`Appointment ${data.appointmentId} is booked for patient ${claim.record.patientId}, not ${data.patientId}`);
+  }
+  
+  if (claim.status === 'in_progress') {
+    // Let Pub/Sub redeliver once the other attempt has finished or its lease expired
+    throw new Error(`Booking for appointment ${data.appointmentId} is already in progress`);
+  }
+  
+  let booked = false;
+  let movedFrom = null;
+  
+  try {
+    // Messages published before routing carried a practice use the practice-wide secret
+    const practiceId = data.practiceId || (await athena.getConfig()).practiceId;
     
-    const practiceId = practiceIdSecret.payload.data.toString();
-    const baseUrl = baseUrlSecret.payload.data.toString();
+    // Fall back to the routing defaults for messages published without a type
+    const appointmentTypeId = data.appointmentTypeId ||
+      (await resolveRouting(firestore, null, {})).appointmentTypeId;
+    if (!appointmentTypeId) {
+      throw new Error('No appointment type on the message and no default configured');
+    }
     
     // Book appointment in AthenaHealth
-    const payload = new URLSearchParams({
+    const payload = {
       patientid: data.patientId,
-      appointmenttypeid: data.appointmentTypeId || '15',
+      appointmenttypeid: appointmentTypeId,
       ignoreschedulablepermission: 'true', // Allow booking even if slot seems unavailable
-      donotsendconfirmationemail: 'false' // Send confirmation
-    });
+      // The route decides whether Athena sends its confirmation email
+      donotsendconfirmationemail: data.sendConfirmationEmail === false ? 'true' : 'false'
+    };
     
-    console.log('Booking appointment with payload:', payload.toString());
+    console.log('Booking appointment with payload:', payload);
+    
+    // The slot may have been taken since the call; check it before booking
+    // A slot that was deleted from the schedule is as gone as one that was taken
+    const slot = await athena.getAppointment(data.appointmentId, {practiceId})
+      .catch(error => {
+        if (error.response?.status === 404) return {appointmentid: data.appointmentId};
+        throw error;
+      });
+    let bookedSlot = {
+      appointmentId: String(data.appointmentId),
+      date: slot.date || null,
+      startTime: slot.starttime || null
+    };
+    let confirmation;
+    let slotTaken = !ownsRequestedSlot;
+    
+    if (!slotTaken && slot.appointmentstatus === OPEN_STATUS) {
+      // Not retried in place; a redelivery finds the slot already booked for this patient
+      try {
+        confirmation = await athena.bookAppointment(data.appointmentId, payload, {practiceId});
+      } catch (error) {
+        // Taken after the check above: recover the same way
+        if (!isSlotUnavailableError(error)) throw error;
+        console.warn(`Athena refused appointment ${data.appointmentId} as no longer open: ${error.message}`);
+        slotTaken = true;
+      }
+    } else if (!slotTaken && String(slot.patientid) === String(data.patientId)) {
+      // An earlier attempt booked it but did not get to record it
+      console.log(`Appointment ${data.appointmentId} is already booked for this patient`);
+      confirmation = slot;
+    } else {
+      slotTaken = true;
+    }
     
-    const response = await axios.put(
-      `${baseUrl}/v1/${practiceId}/appointments/${data.appointmentId}`,
-      payload.toString(),
-      {
-        headers: {
-          'Authorization': `${tokenData.type} ${tokenData.token}`,
-          'Content-Type': 'application/x-www-form-urlencoded'
+    if (slotTaken) {
+      const settings = await loadSettings(firestore);
+      const windowDays = settings.slotRecoveryWindowDays;
+      console.warn(`Appointment ${data.appointmentId} was taken - looking for another slot within ${windowDays} days`);
+      
+      // An earlier delivery may have claimed or booked a replacement already
+      let alternative = await resumeAlternative(await findReplacementBooking(data), data, practiceId);
+      if (!alternative) {
+        const taken = {...slot, departmentid: slot.departmentid || data.departmentId};
+        const alternatives = await findAlternativeSlots(taken, appointmentTypeId, practiceId, windowDays);
+        alternative = await bookAlternative(alternatives, data, payload, practiceId);
+      }
+      if (!alternative) {
+        if (ownsRequestedSlot) {
+          await appointmentRef.delete().catch(console.error);
         }
+        await holdForSlotReview(data, slot, windowDays);
+        await publishBookingFailure(data, 'slot_unavailable', correlationId);
+        await appendTimelineEvent(firestore, correlationId, {
+          event: TIMELINE_EVENTS.FAILED,
+          source: 'appointment-booker',
+          details: {stage: 'booking', reason: 'no_alternative_slot', appointmentId: String(data.appointmentId)}
+        }, timelineLinks);
+        return {success: false, status: 'review'};
       }
-    );
+      
+      movedFrom = bookedSlot;
+      bookedSlot = {
+        appointmentId: alternative.slot.appointmentId,
+        date: alternative.slot.date,
+        startTime: alternative.slot.startTime
+      };
+      confirmation = alternative.confirmation;
+      console.log(`Moved appointment ${movedFrom.appointmentId} to ${bookedSlot.appointmentId} (${bookedSlot.date} ${bookedSlot.startTime})`);
+    }
+    
+    console.log('Appointment booked successfully:', confirmation);
+    booked = true;
+    
+    // Providers see why the patient is coming in before the visit starts
+    const noteAdded = await addVisitNote(bookedSlot.appointmentId, data, practiceId);
+    
+    // Log success
+    await firestore.collection('appointments').doc(bookedSlot.appointmentId).set({
+      patientId: data.patientId,
+      appointmentId: bookedSlot.appointmentId,
+      appointmentDate: bookedSlot.date,
+      appointmentTime: bookedSlot.startTime,
+      appointmentAt: appointmentAt(bookedSlot.date, bookedSlot.startTime),
+      practiceId: practiceId,
+      status: 'booked',
+      bookedAt: new Date(),
+      visitReason: data.visitReason || null,
+      noteAdded: noteAdded,
+      movedFrom: movedFrom,
+      requestedAppointmentId: String(data.appointmentId),
+      confirmation: confirmation,
+      correlationId: correlationId
+    });
     
-    console.log('Appointment booked successfully:', response.data);
+    // The requested slot keeps a pointer to where the patient went, unless it
+    // is another patient's booking
+    if (movedFrom && ownsRequestedSlot) {
+      await appointmentRef.set({
+        patientId: data.patientId,
+        appointmentId: movedFrom.appointmentId,
+        status: 'moved',
+        movedTo: bookedSlot.appointmentId,
+        movedAt: new Date()
+      });
+    }
     
     // Update Firestore
+    let lastName = null;
     if (data.originalRecordId) {
       await firestore.collection('patient_intake_queue').doc(data.originalRecordId).update({
         appointmentBooked: true,
         appointmentBookedAt: new Date(),
-        appointmentConfirmation: response.data
+        appointmentId: bookedSlot.appointmentId,
+        appointmentMovedFrom: movedFrom,
+        appointmentConfirmation: confirmation
       });
+      
+      const patientRef = firestore.collection('patients').doc(data.originalRecordId);
+      const patientDoc = await patientRef.get();
+      if (patientDoc.exists) {
+        lastName = patientDoc.data().lastName || null;
+        await patientRef.update({
+          appointmentId: bookedSlot.appointmentId,
+          appointmentDate: bookedSlot.date,
+          appointmentTime: bookedSlot.startTime,
+          appointmentMovedFrom: movedFrom
+        });
+      }
     }
     
-    // Log success
-    await firestore.collection('appointments').add({
+    // Dashboard row and staff notification, both saying when the slot moved
+    const booking = {
       patientId: data.patientId,
-      appointmentId: data.appointmentId,
-      status: 'booked',
-      bookedAt: new Date(),
-      confirmation: response.data
+      appointmentId: bookedSlot.appointmentId,
+      appointmentDate: bookedSlot.date,
+      appointmentTime: bookedSlot.startTime,
+      originalRecordId: data.originalRecordId || null,
+      movedFrom: movedFrom
+    };
+    await appendTimelineEvent(firestore, correlationId, {
+      event: TIMELINE_EVENTS.BOOKED,
+      source: 'appointment-booker',
+      details: {
+        appointmentId: bookedSlot.appointmentId,
+        appointmentDate: bookedSlot.date,
+        appointmentTime: bookedSlot.startTime,
+        movedFrom: movedFrom ? movedFrom.appointmentId : null,
+        noteAdded: noteAdded
+      }
+    }, {...timelineLinks, appointmentId: bookedSlot.appointmentId});
+    
+    const attributes = correlationAttributes(correlationId);
+    await pubsub.topic('patient-activity').publishMessage({
+      data: Buffer.from(JSON.stringify({
+        patientId: data.patientId,
+        lastName: lastName,
+        activityType: movedFrom ? 'APPOINTMENT_MOVED' : 'APPOINTMENT_BOOKED',
+        status: 'success',
+        pathwayId: data.pathwayId || null,
+        appointmentId: bookedSlot.appointmentId,
+        appointmentDateTime: bookedSlot.date ? `${bookedSlot.date} ${bookedSlot.startTime}` : null,
+        appointmentMovedFrom: movedFrom ? movedFrom.appointmentId : null,
+        appointmentStatus: 'booked',
+        bookedAppt: true
+      })),
+      attributes
+    });
+    await pubsub.topic('appointment-booked').publishMessage({
+      data: Buffer.from(JSON.stringify(booking)),
+      attributes
     });
     
     return {success: true};
-    
+  
   } catch (error) {
-    console.error('Appointment booking failed:', error.message);
+    const classification = classifyAthenaError(error);
+    console.error(`Appointment booking failed (${classification}):`, error.message);
     if (error.response) {
       console.error('Response:', error.response.data);
     }
     
+    // Release the claim unless Athena already accepted the booking; a slot
+    // booked for another patient was never claimed and stays theirs
+    if (ownsRequestedSlot && booked) {
+      await appointmentRef.set({status: movedFrom ? 'moved' : 'booked'}, {merge: true}).catch(console.error);
+    } else if (ownsRequestedSlot) {
+      await appointmentRef.delete().catch(console.error);
+    }
+    
+    await appendTimelineEvent(firestore, correlationId, {
+      event: TIMELINE_EVENTS.FAILED,
+      source: 'appointment-booker',
+      details: {stage: 'booking', error: error.message, classification: classification}
+    }, timelineLinks);
+    
     // Log error
     await firestore.collection('errors').add({
       type: 'appointment_booking',
       appointmentId: data.appointmentId,
       patientId: data.patientId,
+      queueId: data.originalRecordId || null,
+      correlationId: correlationId,
       error: error.message,
+      classification: classification,
+      attempts: error.attempts || 1,
       details: error.response?.data || {},
       timestamp: new Date()
     });
     
+    // Retrying a permanent failure cannot help: dead-letter it and ack the message
+    if (classification === ERROR_CLASS.PERMANENT) {
+      await publishDeadLetter(pubsub, {
+        functionName: 'appointment-booker',
+        payload: data,
+        error
+      });
+      await publishBookingFailure(data, 'appointment_booking', correlationId);
+      return {success: false, deadLettered: true};
+    }
+    
+    // Transient and auth failures go back to Pub/Sub for redelivery
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Cancel a booked appointment.
+ * Message: {appointmentId, patientId, reason, reasonNote, cancelReasonId?, practiceId?, originalRecordId?}
+ */
+exports.cancelAppointment = async (message, context) => {
+  const data = JSON.parse(Buffer.from(message.data, 'base64').toString());
+  const correlationId = correlationIdFrom(message);
+  
+  console.log(`Cancelling appointment ${data.appointmentId} for patient ${data.patientId} (${data.reason || 'no reason given'})`);
+  
+  const appointmentRef = firestore.collection('appointments').doc(String(data.appointmentId));
+  const claim = await claimAppointmentChange(appointmentRef, data.patientId, 'cancelling', 'cancelled');
+  
+  if (claim.status === 'rejected') {
+    return handleAppointmentChangeError(
+      new Error(`Appointment ${data.appointmentId} ${claim.reason}`), 'cancel', data, correlationId);
+  }
+  
+  if (claim.status === 'done') {
+    console.log(`Appointment ${data.appointmentId} already cancelled - skipping`);
+    return {success: true, duplicate: true};
+  }
+  
+  if (claim.status === 'in_progress') {
+    throw new Error(`Change to appointment ${data.appointmentId} is already in progress`);
+  }
+  
+  let cancelled = false;
+  
+  try {
+    const practiceId = data.practiceId || (await athena.getConfig()).practiceId;
+    const cancelReasonId = await resolveCancelReasonId(data);
+    
+    await athena.cancelAppointment(data.appointmentId, {
+      patientid: data.patientId,
+      appointmentcancelreasonid: cancelReasonId,
+      cancellationreason: data.reasonNote || data.reason,
+      ignoreschedulablepermission: 'true'
+    }, {practiceId});
+    cancelled = true;
+    
+    await appointmentRef.set({
+      patientId: data.patientId,
+      appointmentId: String(data.appointmentId),
+      status: 'cancelled',
+      cancelReason: data.reason || null,
+      cancelReasonId: cancelReasonId,
+      cancelledAt: new Date(),
+      lastModified: new Date(),
+      statusBeforeChange: null,
+      changeStartedAt: null
+    }, {merge: true});
+    
+    const patient = await findPatientRecord(data);
+    if (patient && patient.data.appointmentId === String(data.appointmentId)) {
+      await patient.ref.update({appointmentStatus: 'cancelled', appointmentCancelledAt: new Date()});
+    }
+    
+    await pubsub.topic('patient-activity').publishMessage({
+      data: Buffer.from(JSON.stringify({
+        patientId: data.patientId,
+        lastName: patient?.data.lastName || null,
+        activityType: 'APPOINTMENT_CANCELLED',
+        status: 'success',
+        appointmentId: String(data.appointmentId),
+        appointmentStatus: 'cancelled',
+        bookedAppt: false
+      })),
+      attributes: correlationAttributes(correlationId)
+    });
+    
+    return {success: true};
+  
+  } catch (error) {
+    // Keep the cancellation if Athena already made it; otherwise restore the booking
+    if (cancelled) {
+      await appointmentRef.set({status: 'cancelled'}, {merge: true}).catch(console.error);
+    } else {
+      await releaseAppointmentChange(appointmentRef, claim).catch(console.error);
+    }
+    return handleAppointmentChangeError(error, 'cancel', data, correlationId);
+  }
+};
+
+/**
+ * Move a booked appointment into another open slot.
+ * Message: {appointmentId, newAppointmentId, patientId, reason, reasonNote, cancelReasonId?, practiceId?, originalRecordId?}
+ */
+exports.rescheduleAppointment = async (message, context) => {
+  const data = JSON.parse(Buffer.from(message.data, 'base64').toString());
+  const correlationId = correlationIdFrom(message);
+  
+  console.log(`Rescheduling appointment ${data.appointmentId} to ${data.newAppointmentId} for patient ${data.patientId}`);
+  
+  const appointmentRef = firestore.collection('appointments').doc(String(data.appointmentId));
+  const claim = await claimAppointmentChange(appointmentRef, data.patientId, 'rescheduling', 'rescheduled');
+  
+  if (claim.status === 'rejected') {
+    return handleAppointmentChangeError(
+      new Error(`Appointment ${data.appointmentId} ${claim.reason}`), 'reschedule', data, correlationId);
+  }
+  
+  if (claim.status === 'done') {
+    console.log(`Appointment ${data.appointmentId} already rescheduled to ${claim.record.rescheduledTo} - skipping`);
+    return {success: true, duplicate: true};
+  }
+  
+  if (claim.status === 'in_progress') {
+    throw new Error(`Change to appointment ${data.appointmentId} is already in progress`);
+  }
+  
+  // The new slot is claimed like any booking so the booker cannot take it meanwhile
+  const newAppointmentRef = firestore.collection('appointments').doc(String(data.newAppointmentId));
+  const slotClaim = await claimBooking(newAppointmentRef, data.patientId);
+  if (slotClaim.status !== 'claimed') {
+    await releaseAppointmentChange(appointmentRef, claim).catch(console.error);
+    if (slotClaim.status === 'in_progress') {
+      throw new Error(`Appointment ${data.newAppointmentId} is being booked by another request`);
+    }
+    return handleAppointmentChangeError(
+      new Error(`Appointment ${data.newAppointmentId} is already ${slotClaim.status}`), 'reschedule', data, correlationId);
+  }
+  
+  let rescheduled = false;
+  
+  try {
+    const practiceId = data.practiceId || (await athena.getConfig()).practiceId;
+    const cancelReasonId = await resolveCancelReasonId(data);
+    
+    const newAppointment = await athena.rescheduleAppointment(data.appointmentId, {
+      newappointmentid: data.newAppointmentId,
+      patientid: data.patientId,
+      appointmentcancelreasonid: cancelReasonId,
+      reschedulereason: data.reasonNote || data.reason,
+      ignoreschedulablepermission: 'true'
+    }, {practiceId});
+    rescheduled = true;
+    
+    const newAppointmentId = String(newAppointment?.appointmentid || data.newAppointmentId);
+    const appointmentDate = newAppointment?.date || null;
+    const appointmentTime = newAppointment?.starttime || null;
+    
+    await appointmentRef.set({
+      status: 'rescheduled',
+      rescheduledTo: newAppointmentId,
+      rescheduleReason: data.reason || null,
+      rescheduledAt: new Date(),
+      lastModified: new Date(),
+      statusBeforeChange: null,
+      changeStartedAt: null
+    }, {merge: true});
+    
+    await firestore.collection('appointments').doc(newAppointmentId).set({
+      patientId: data.patientId,
+      appointmentId: newAppointmentId,
+      appointmentDate: appointmentDate,
+      appointmentTime: appointmentTime,
+      appointmentAt: appointmentAt(appointmentDate, appointmentTime),
+      practiceId: practiceId,
+      status: 'booked',
+      bookedAt: new Date(),
+      rescheduledFrom: String(data.appointmentId),
+      confirmation: newAppointment || null
+    });
+    
+    const patient = await findPatientRecord(data);
+    if (patient && patient.data.appointmentId === String(data.appointmentId)) {
+      await patient.ref.update({
+        appointmentId: newAppointmentId,
+        appointmentDate: appointmentDate,
+        appointmentTime: appointmentTime,
+        appointmentStatus: 'rescheduled'
+      });
+    }
+    
+    await pubsub.topic('patient-activity').publishMessage({
+      data: Buffer.from(JSON.stringify({
+        patientId: data.patientId,
+        lastName: patient?.data.lastName || null,
+        activityType: 'APPOINTMENT_RESCHEDULED',
+        status: 'success',
+        appointmentId: newAppointmentId,
+        appointmentStatus: 'booked',
+        appointmentDateTime: appointmentDate ? `${appointmentDate} ${appointmentTime}` : null,
+        bookedAppt: true
+      })),
+      attributes: correlationAttributes(correlationId)
+    });
+    
+    return {success: true, appointmentId: newAppointmentId};
+  
+  } catch (error) {
+    if (rescheduled) {
+      await appointmentRef.set({status: 'rescheduled'}, {merge: true}).catch(console.error);
+      await newAppointmentRef.set({status: 'booked'}, {merge: true}).catch(console.error);
+    } else {
+      await releaseAppointmentChange(appointmentRef, claim).catch(console.error);
+      await newAppointmentRef.delete().catch(console.error);
+    }
+    return handleAppointmentChangeError(error, 'reschedule', data, correlationId);
+  }
+};
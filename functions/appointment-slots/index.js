@@ -0,0 +1,196 @@
+/**
+ * Appointment Slot Lookup for Gabar AI Athena Integration
+ * Called by Bland pathways mid-call to offer the caller open appointment slots
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const {Firestore} = require('@google-cloud/firestore');
+const {SecretManagerServiceClient} = require('@google-cloud/secret-manager');
+const {KeyManagementServiceClient} = require('@google-cloud/kms');
+const {PubSub} = require('@google-cloud/pubsub');
+const crypto = require('crypto');
+const fs = require('fs');
+const {formatDateForAthena} = require('gabar-shared/normalizers');
+const {resolveRouting} = require('gabar-shared/routing');
+const {AthenaClient} = require('gabar-shared/athena-client');
+
+const firestore = new Firestore();
+const secretClient = new SecretManagerServiceClient();
+const kmsClient = new KeyManagementServiceClient();
+const pubsub = new PubSub();
+const athena = new AthenaClient({firestore, pubsub, secretClient, kmsClient});
+
+// Shared key Bland sends in the x-api-key header, loaded like the webhook secret
+const apiKeyPath = process.env.SLOT_LOOKUP_API_KEY;
+const apiKey = apiKeyPath ? fs.readFileSync(apiKeyPath, 'utf8').trim() : undefined;
+
+// Bland waits only a few seconds for a tool response
+const CACHE_TTL_SECONDS = parseInt(process.env.SLOT_CACHE_TTL_SECONDS || '60', 10);
+const ATHENA_TIMEOUT_MS = 4000;
+const DEFAULT_RANGE_DAYS = 14;
+const DEFAULT_SLOT_COUNT = 3;
+const MAX_SLOT_COUNT = 5;
+
+const TIME_OF_DAY_HOURS = {
+  morning: [0, 12],
+  afternoon: [12, 17],
+  evening: [17, 24]
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+// Without a configured key nobody is authorized
+function isAuthorized(req) {
+  if (!apiKey) return false;
+  const received = Buffer.from(String(req.headers['x-api-key'] || ''));
+  const expected = Buffer.from(apiKey);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Accept ISO or MM/DD/YYYY dates and return Athena's MM/DD/YYYY
+function toAthenaDate(value, fallback) {
+  const formatted = value ? String(value) : fallback.toISOString().slice(0, 10);
+  const athenaDate = /^\d{2}\/\d{2}\/\d{4}$/.test(formatted) ? formatted : formatDateForAthena(formatted);
+  return /^\d{2}\/\d{2}\/\d{4}$/.test(athenaDate) ? athenaDate : '';
+}
+
+function ordinal(day) {
+  const suffixes = {1: 'st', 2: 'nd', 3: 'rd'};
+  const suffix = day % 100 >= 11 && day % 100 <= 13 ? 'th' : (suffixes[day % 10] || 'th');
+  return `${day}${suffix}`;
+}
+
+// "Tuesday, January 14th at 9:30 AM"
+function toSpeakable(date, startTime) {
+  const [month, day, year] = date.split('/').map(p => parseInt(p, 10));
+  const [hour, minute] = startTime.split(':').map(p => parseInt(p, 10));
+  const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+  const hour12 = hour % 12 || 12;
+  const minutes = minute ? `:${String(minute).padStart(2, '0')}` : '';
+  const period = hour < 12 ? 'AM' : 'PM';
+  return `${weekday}, ${MONTHS[month - 1]} ${ordinal(day)} at ${hour12}${minutes} ${period}`;
+}
+
+function matchesTimeOfDay(startTime, timeOfDay) {
+  const range = TIME_OF_DAY_HOURS[timeOfDay];
+  if (!range) return true;
+  const hour = parseInt(startTime.split(':')[0], 10);
+  return hour >= range[0] && hour < range[1];
+}
+
+/**
+ * Open slots for the query, served from a short-lived Firestore cache so
+ * repeated lookups during the same call stay inside Bland's latency budget
+ */
+async function getOpenSlots(query) {
+  const cacheKey = crypto.createHash('sha256').update(JSON.stringify(query)).digest('hex');
+  const cacheRef = firestore.collection('slot_cache').doc(cacheKey);
+  
+  const cached = await cacheRef.get();
+  if (cached.exists && cached.data().expiresAt.toDate() > new Date()) {
+    return {slots: cached.data().slots, cached: true};
+  }
+  
+  // No retries here: Bland would hang up before a backoff finished
+  const slots = await athena.getOpenSlots(query, {
+    practiceId: query.practiceId,
+    retryAttempts: 0,
+    timeout: ATHENA_TIMEOUT_MS
+  });
+  
+  await cacheRef.set({
+    query,
+    slots,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + CACHE_TTL_SECONDS * 1000)
+  }).catch(console.error);
+  
+  return {slots, cached: false};
+}
+
+functions.http('findAppointmentSlots', async (req, res) => {
+  const startTime = Date.now();
+  
+  if (!apiKey) {
+    console.error('SLOT_LOOKUP_API_KEY is not configured - rejecting slot lookup');
+    return res.status(500).json({success: false, error: 'Slot lookup is not configured'});
+  }
+  if (!isAuthorized(req)) {
+    console.error('Rejected slot lookup with invalid API key');
+    return res.status(401).json({success: false, error: 'Unauthorized'});
+  }
+  
+  const input = {...req.query, ...(req.body || {})};
+  
+  try {
+    const config = await athena.getConfig();
+    
+    // Anything the caller did not specify comes from the pathway's route
+    const routing = await resolveRouting(firestore, input.pathway_id, input);
+    const appointmentTypeId = input.appointment_type_id || input.selected_appointment_type_id ||
+      routing.appointmentTypeId;
+    if (!appointmentTypeId) {
+      return res.status(400).json({success: false, error: 'appointment_type_id is required'});
+    }
+    const providerId = input.provider_id || routing.providerId;
+    
+    const today = new Date();
+    const query = {
+      practiceId: String(routing.practiceId || config.practiceId),
+      appointmentTypeId: String(appointmentTypeId),
+      departmentId: String(input.department_id || routing.departmentId || config.departmentId),
+      providerId: providerId ? String(providerId) : null,
+      startDate: toAthenaDate(input.start_date, today),
+      endDate: toAthenaDate(input.end_date, new Date(today.getTime() + DEFAULT_RANGE_DAYS * 86400000))
+    };
+    if (!query.startDate || !query.endDate) {
+      return res.status(400).json({success: false, error: 'start_date and end_date must be valid dates'});
+    }
+    
+    const timeOfDay = String(input.time_of_day || 'any').toLowerCase();
+    const count = Math.min(parseInt(input.limit, 10) || DEFAULT_SLOT_COUNT, MAX_SLOT_COUNT);
+    
+    const {slots, cached} = await getOpenSlots(query);
+    const offered = slots
+      .filter(slot => matchesTimeOfDay(slot.startTime, timeOfDay))
+      .slice(0, count)
+      .map(slot => ({...slot, spoken: toSpeakable(slot.date, slot.startTime)}));
+    
+    const spokenSummary = offered.length
+      ? `I have ${offered.length === 1 ? 'one opening' : `${offered.length} openings`}: ${offered.map(s => s.spoken).join('; ')}.`
+      : 'I could not find any open appointments for that time.';
+    
+    const responseTime = Date.now() - startTime;
+    console.log(`Returned ${offered.length} slot(s) in ${responseTime}ms (cached: ${cached})`);
+    
+    res.status(200).json({
+      success: true,
+      slots: offered,
+      spokenSummary,
+      cached,
+      responseTime
+    });
+  
+  } catch (error) {
+    console.error('Slot lookup failed:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+    
+    await firestore.collection('errors').add({
+      type: 'slot_lookup',
+      error: error.message,
+      details: error.response?.data || {},
+      request: input,
+      timestamp: new Date()
+    }).catch(console.error);
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up appointment slots',
+      spokenSummary: 'I am having trouble checking the schedule right now.'
+    });
+  }
+});
@@ -0,0 +1,175 @@
+/**
+ * Appointment Status Sync for Gabar AI Athena Integration
+ * Polls Athena for the appointments we booked and records what actually
+ * happened (checked in, completed, cancelled, no-show) in Firestore
+ * Triggered by Cloud Scheduler through the appointment-sync topic
+ */
+
+const {Firestore, FieldPath} = require('@google-cloud/firestore');
+const {SecretManagerServiceClient} = require('@google-cloud/secret-manager');
+const {KeyManagementServiceClient} = require('@google-cloud/kms');
+const {PubSub} = require('@google-cloud/pubsub');
+const {loadSettings} = require('gabar-shared/settings');
+const {classifyAthenaError} = require('gabar-shared/athena-errors');
+const {AthenaClient} = require('gabar-shared/athena-client');
+
+const firestore = new Firestore();
+const secretClient = new SecretManagerServiceClient();
+const kmsClient = new KeyManagementServiceClient();
+const pubsub = new PubSub();
+const athena = new AthenaClient({firestore, pubsub, secretClient, kmsClient});
+
+// Statuses that can still change in Athena
+const ACTIVE_STATUSES = ['booked', 'checked-in'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Athena appointmentstatus -> appointments.status
+const ATHENA_STATUSES = {
+    'f': 'booked',
+    '2': 'checked-in',
+    '3': 'completed',
+    '4': 'completed',
+    'x': 'cancelled',
+    'o': 'cancelled' // back to an open slot: the booking was removed
+};
+
+// Athena records a no-show as a cancellation with a no-show reason
+function toStatus(appointment) {
+    const status = ATHENA_STATUSES[appointment.appointmentstatus];
+    if (status === 'cancelled' && /no.?show/i.test(appointment.appointmentcancelreason || '')) {
+        return 'no-show';
+    }
+    return status || null;
+}
+
+// Where the previous run stopped in the window
+const cursorRef = () => firestore.collection('sync_state').doc('appointment-sync');
+
+/**
+ * Up to appointmentSyncBatchSize active appointments that are upcoming or
+ * within the lookback window, by appointmentAt (set by appointment-booker).
+ * Each run picks up after the last appointment the previous run checked and
+ * wraps to the start of the window, so every appointment is reached in turn.
+ * Uses the composite index in setup/firestore.indexes.json; appointments
+ * booked before appointmentAt existed need scripts/backfill-appointment-times.js.
+ */
+async function loadAppointmentsToSync(settings) {
+    const batchSize = settings.appointmentSyncBatchSize;
+    const cutoff = new Date(Date.now() - settings.appointmentSyncLookbackDays * DAY_MS);
+    const windowQuery = firestore.collection('appointments')
+        .where('status', 'in', ACTIVE_STATUSES)
+        .where('appointmentAt', '>=', cutoff)
+        .orderBy('appointmentAt')
+        .orderBy(FieldPath.documentId());
+    
+    const state = await cursorRef().get();
+    const cursor = state.exists ? state.data() : null;
+    
+    let docs = [];
+    if (cursor && cursor.appointmentAt) {
+        docs = (await windowQuery.startAfter(cursor.appointmentAt, cursor.appointmentId).limit(batchSize).get()).docs;
+    }
+    if (docs.length < batchSize) {
+        const fromStart = (await windowQuery.limit(batchSize - docs.length).get()).docs;
+        const seen = new Set(docs.map(doc => doc.id));
+        docs = docs.concat(fromStart.filter(doc => !seen.has(doc.id)));
+    }
+    return docs.filter(doc => doc.id !== '_schema_example');
+}
+
+async function saveCursor(lastDoc) {
+    await cursorRef().set({
+        appointmentAt: lastDoc.data().appointmentAt,
+        appointmentId: lastDoc.id,
+        updatedAt: new Date()
+    });
+}
+
+// Update one appointment from Athena; returns the change or null when nothing changed
+async function syncAppointment(doc, defaultPracticeId) {
+    const record = doc.data();
+    const practiceId = record.practiceId || defaultPracticeId;
+    
+    // An appointment Athena no longer has was removed from the schedule
+    const appointment = await athena.getAppointment(doc.id, {practiceId})
+        .catch(error => {
+            if (error.response?.status === 404) return {appointmentstatus: 'x'};
+            throw error;
+        });
+    
+    const status = toStatus(appointment);
+    const update = {
+        athenaStatus: appointment.appointmentstatus || null,
+        lastSyncedAt: new Date()
+    };
+    if (appointment.checkindatetime) update.checkInTime = appointment.checkindatetime;
+    if (appointment.checkoutdatetime) update.checkOutTime = appointment.checkoutdatetime;
+    if (appointment.providerid) update.providerId = String(appointment.providerid);
+    
+    const changed = status && status !== record.status;
+    if (changed) {
+        update.status = status;
+        update.previousStatus = record.status;
+        update.statusChangedAt = new Date();
+        update.lastModified = new Date();
+    }
+    
+    await doc.ref.update(update);
+    if (!changed) return null;
+    
+    console.log(`Appointment ${doc.id}: ${record.status} → ${status}`);
+    await pubsub.topic('patient-activity').publish(Buffer.from(JSON.stringify({
+        patientId: record.patientId,
+        activityType: 'APPOINTMENT_STATUS_CHANGED',
+        status: 'success',
+        appointmentId: doc.id,
+        appointmentStatus: status,
+        previousAppointmentStatus: record.status,
+        appointmentDateTime: record.appointmentDate
+            ? `${record.appointmentDate} ${record.appointmentTime || ''}`.trim()
+            : null
+    })));
+    
+    return {appointmentId: doc.id, from: record.status, to: status};
+}
+
+exports.syncAppointmentStatuses = async (message, context) => {
+    console.log('🔄 Starting appointment status sync...');
+    
+    const [settings, config] = await Promise.all([loadSettings(firestore), athena.getConfig()]);
+    const appointments = await loadAppointmentsToSync(settings);
+    
+    console.log(`Checking ${appointments.length} appointments`);
+    
+    const changes = [];
+    let failed = 0;
+    
+    // One at a time: the sync is not latency-bound and Athena rate-limits
+    for (const doc of appointments) {
+        try {
+            const change = await syncAppointment(doc, config.practiceId);
+            if (change) changes.push(change);
+        } catch (error) {
+            // One bad appointment must not stop the rest; the next run picks it up again
+            failed++;
+            console.error(`Sync failed for appointment ${doc.id}:`, error.message);
+            await firestore.collection('errors').add({
+                type: 'appointment_sync',
+                appointmentId: doc.id,
+                patientId: doc.data().patientId || null,
+                error: error.message,
+                classification: classifyAthenaError(error),
+                attempts: error.attempts || 1,
+                details: error.response?.data || {},
+                timestamp: new Date()
+            });
+        }
+    }
+    
+    if (appointments.length) {
+        await saveCursor(appointments[appointments.length - 1]);
+    }
+    
+    console.log(`✅ Appointment sync finished: ${changes.length} changed, ${failed} failed`);
+    return {success: true, checked: appointments.length, changed: changes.length, failed};
+};
@@ -0,0 +1,57 @@
+// Bland.AI voice agent: signed webhooks with pathway variables
+
+const {CALL_OUTCOMES, finishedCallOutcome} = require('../call-outcome');
+const {loadSecret, verifyTimestampedHmac} = require('../webhook-security');
+
+// Bland call statuses that mean nobody completed the conversation
+const UNANSWERED_STATUSES = ['no-answer', 'busy', 'failed', 'canceled'];
+
+/**
+ * Deliveries without a `status` come from a webhook node mid-call, so they are
+ * always treated as intakes (validation can still ask the caller to repeat a
+ * field). End-of-call deliveries are only intakes if the core fields were captured.
+ */
+function classifyOutcome(body, variables) {
+  const {status, answered_by, transferred_to} = body;
+  
+  if (answered_by === 'voicemail') return CALL_OUTCOMES.VOICEMAIL;
+  if (answered_by === 'no-answer' || UNANSWERED_STATUSES.includes(status)) return CALL_OUTCOMES.NO_ANSWER;
+  if (transferred_to) return CALL_OUTCOMES.TRANSFERRED;
+  if (!status) return CALL_OUTCOMES.COMPLETED;
+  if (status === 'completed') return finishedCallOutcome(variables);
+  return CALL_OUTCOMES.PARTIAL;
+}
+
+module.exports = {
+  name: 'bland',
+  source: 'bland_webhook',
+  secret: loadSecret('BLAND_WEBHOOK_SECRET'),
+  
+  verify(req) {
+    return verifyTimestampedHmac(req, this.secret, {
+      signatureHeader: 'x-bland-signature',
+      timestampHeader: 'x-bland-timestamp'
+    });
+  },
+  
+  parse(req) {
+    const body = req.body || {};
+    const variables = body.variables || {};
+    
+    return {
+      externalId: body.call_id || null,
+      pathwayId: body.pathway_id || null,
+      callStatus: body.status || null,
+      outcome: classifyOutcome(body, variables),
+      answeredBy: body.answered_by || null,
+      transferredTo: body.transferred_to || null,
+      callLength: body.call_length ?? null,
+      lastNodeId: body.last_node_id || variables.lastNodeId || variables.last_node_id || null,
+      callbackPhone: variables.phone || body.from || null,
+      // Bland's end-of-call summary; a pathway can also set its own
+      callSummary: body.summary || variables.call_summary || null,
+      // Bland pathway variables already use the intake schema's names
+      variables
+    };
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * Intake source adapters
+ *
+ * Each adapter turns one vendor's webhook into the same canonical delivery:
+ *   name      - URL/security-event name of the source
+ *   source    - value stored in the canonical intake record's `source` field
+ *   secret    - signing secret; when set, every delivery must verify
+ *   requireSecret - reject every delivery while `secret` is unset
+ *   verify()  - throws WebhookAuthError, returns a replay nonce (or null)
+ *   parse()   - {externalId, pathwayId, callStatus, outcome, answeredBy,
+ *                transferredTo, callLength, lastNodeId, callbackPhone,
+ *                callSummary, variables}
+ *               where variables use the intake schema's names (first_name, ...),
+ *               or {externalId, ignored, variables} for a delivery that carries no
+ *               intake; `ignored` says why, and it is acknowledged and dropped
+ */
+
+const bland = require('./bland');
+const webForm = require('./web-form');
+const vapi = require('./vapi');
+
+const ADAPTERS = {
+  [bland.name]: bland,
+  [webForm.name]: webForm,
+  [vapi.name]: vapi
+};
+
+function getAdapter(name) {
+  return ADAPTERS[name] || null;
+}
+
+module.exports = {
+  ADAPTERS,
+  getAdapter
+};
@@ -0,0 +1,79 @@
+// Vapi voice agent: end-of-call reports authenticated with a shared server secret
+
+const {CALL_OUTCOMES, finishedCallOutcome} = require('../call-outcome');
+const {loadSecret, verifySharedSecret} = require('../webhook-security');
+
+// Vapi structured-data keys that differ from the intake schema's names
+const FIELD_MAP = {
+  firstName: 'first_name',
+  lastName: 'last_name',
+  dateOfBirth: 'date_of_birth',
+  phoneNumber: 'phone',
+  houseNumber: 'house_number',
+  apartment: 'unit',
+  zipCode: 'zip',
+  visitReason: 'visit_reason',
+  language: 'preferred_language',
+  contactPreference: 'contact_preference',
+  insurancePayer: 'insurance_payer',
+  memberId: 'insurance_member_id',
+  groupNumber: 'insurance_group_number',
+  appointmentId: 'selected_appointment_id',
+  appointmentTypeId: 'selected_appointment_type_id'
+};
+
+function mapVariables(structuredData = {}) {
+  const variables = {};
+  for (const [key, value] of Object.entries(structuredData)) {
+    variables[FIELD_MAP[key] || key] = value;
+  }
+  return variables;
+}
+
+function classifyOutcome(endedReason, variables) {
+  if (endedReason === 'voicemail') return CALL_OUTCOMES.VOICEMAIL;
+  if (endedReason === 'customer-did-not-answer' || endedReason === 'customer-busy') return CALL_OUTCOMES.NO_ANSWER;
+  if (endedReason === 'assistant-forwarded-call') return CALL_OUTCOMES.TRANSFERRED;
+  return finishedCallOutcome(variables);
+}
+
+module.exports = {
+  name: 'vapi',
+  source: 'vapi',
+  secret: loadSecret('VAPI_WEBHOOK_SECRET'),
+  // Reports without the shared secret are rejected, so an unset secret blocks the source
+  requireSecret: true,
+  
+  verify(req) {
+    verifySharedSecret(req, this.secret, 'x-vapi-secret');
+    // Vapi does not sign a timestamp; repeated reports are absorbed by intake idempotency
+    return null;
+  },
+  
+  parse(req) {
+    const message = req.body?.message || {};
+    const call = message.call || {};
+    
+    // Vapi sends status updates, transcripts and other server messages to the
+    // same URL; only the end-of-call report describes a finished call
+    if (message.type !== 'end-of-call-report') {
+      return {externalId: call.id || null, ignored: `${message.type || 'untyped'} message`, variables: {}};
+    }
+    
+    const variables = mapVariables(message.analysis?.structuredData);
+    
+    return {
+      externalId: call.id || null,
+      pathwayId: call.assistantId || message.assistant?.id || null,
+      callStatus: message.endedReason || null,
+      outcome: classifyOutcome(message.endedReason, variables),
+      answeredBy: null,
+      transferredTo: null,
+      callLength: message.durationSeconds ? message.durationSeconds / 60 : null,
+      lastNodeId: null,
+      callbackPhone: variables.phone || call.customer?.number || null,
+      callSummary: message.analysis?.summary || null,
+      variables
+    };
+  }
+};
@@ -0,0 +1,40 @@
+// Web intake form: JSON submissions signed by our own form backend
+
+const {CALL_OUTCOMES} = require('../call-outcome');
+const {loadSecret, verifyTimestampedHmac} = require('../webhook-security');
+
+module.exports = {
+  name: 'web-form',
+  source: 'web_form',
+  secret: loadSecret('WEB_FORM_WEBHOOK_SECRET'),
+  // Form submissions are never accepted unsigned, even before the secret is set up
+  requireSecret: true,
+  
+  verify(req) {
+    return verifyTimestampedHmac(req, this.secret, {
+      signatureHeader: 'x-intake-signature',
+      timestampHeader: 'x-intake-timestamp'
+    });
+  },
+  
+  parse(req) {
+    const body = req.body || {};
+    const fields = body.fields || {};
+    
+    return {
+      externalId: body.submission_id || null,
+      pathwayId: body.form_id || null,
+      callStatus: null,
+      // A submitted form is always a finished intake; validation reports any gaps
+      outcome: CALL_OUTCOMES.COMPLETED,
+      answeredBy: null,
+      transferredTo: null,
+      callLength: null,
+      lastNodeId: null,
+      callbackPhone: fields.phone || null,
+      callSummary: null,
+      // The form posts fields under the intake schema's names
+      variables: fields
+    };
+  }
+};
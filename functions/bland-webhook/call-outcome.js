@@ -0,0 +1,35 @@
+// Call-outcome routing: decides whether a delivery is a finished intake
+// or a call that staff need to follow up on
+
+const CALL_OUTCOMES = {
+  COMPLETED: 'completed',
+  PARTIAL: 'partial',
+  VOICEMAIL: 'voicemail',
+  NO_ANSWER: 'no_answer',
+  TRANSFERRED: 'transferred',
+  // Ended with intake fields that failed validation, too late to re-ask
+  INVALID: 'invalid'
+};
+
+// Without these the intake cannot become an Athena patient
+const CORE_VARIABLES = ['first_name', 'last_name', 'date_of_birth'];
+
+function hasCoreFields(variables = {}) {
+  return CORE_VARIABLES.every(name =>
+    variables[name] !== undefined && variables[name] !== null && String(variables[name]).trim() !== ''
+  );
+}
+
+/**
+ * Outcome of a conversation that ended normally: an intake if the core fields
+ * were captured, otherwise a partial call for staff to finish
+ */
+function finishedCallOutcome(variables) {
+  return hasCoreFields(variables) ? CALL_OUTCOMES.COMPLETED : CALL_OUTCOMES.PARTIAL;
+}
+
+module.exports = {
+  CALL_OUTCOMES,
+  hasCoreFields,
+  finishedCallOutcome
+};
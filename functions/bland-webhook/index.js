@@ -3,113 +3,543 @@
 const functions = require('@google-cloud/functions-framework');
 const {Firestore} = require('@google-cloud/firestore');
 const {PubSub} = require('@google-cloud/pubsub');
-const crypto = require('crypto');
-const fs = require('fs');
+const {validateIntake} = require('./intake-schema');
+const {CALL_OUTCOMES} = require('./call-outcome');
+const {SIGNATURE_TOLERANCE_SECONDS, WebhookAuthError} = require('./webhook-security');
+const {getAdapter} = require('./adapters');
+const {resolveRouting} = require('gabar-shared/routing');
+const {loadSettings} = require('gabar-shared/settings');
+const {DEFAULT_PRIORITY, isIntakeDue, intakeDueAt, lanesAtOrAbove} = require('gabar-shared/intake-priority');
+const {
+  TIMELINE_EVENTS,
+  newCorrelationId,
+  correlationAttributes,
+  appendTimelineEvents
+} = require('gabar-shared/intake-timeline');
 
 const firestore = new Firestore();
 const pubsub = new PubSub();
 
-// Load the webhook secret from the file path provided by the environment variable
-const secretPath = process.env.BLAND_WEBHOOK_SECRET;
-const webhookSecret = secretPath ? fs.readFileSync(secretPath, 'utf8') : undefined;
+const MINUTE_MS = 60 * 1000;
 
-functions.http('blandWebhook', async (req, res) => {
+/**
+ * Record the delivery nonce. `create` fails if the document already exists,
+ * so a second delivery of the same signed request is rejected as a replay.
+ */
+async function claimNonce(adapter, nonce, externalId) {
+  const now = new Date();
+  try {
+    await firestore.collection('webhook_nonces').doc(nonce).create({
+      source: adapter.name,
+      callId: externalId || null,
+      receivedAt: now,
+      // Firestore TTL policy on expiresAt cleans these up
+      expiresAt: new Date(now.getTime() + SIGNATURE_TOLERANCE_SECONDS * 2 * 1000)
+    });
+  } catch (error) {
+    if (error.code === 6) { // ALREADY_EXISTS
+      throw new WebhookAuthError(409, 'replay', 'Webhook delivery has already been processed');
+    }
+    throw error;
+  }
+}
+
+// Create the document only if it does not exist yet; returns whether it was created
+async function createIfAbsent(docRef, data) {
+  return firestore.runTransaction(async (transaction) => {
+    const existing = await transaction.get(docRef);
+    if (existing.exists) {
+      return false;
+    }
+    transaction.create(docRef, data);
+    return true;
+  });
+}
+
+/**
+ * Whether to hand the intake to patient-creator straight away. A held intake,
+ * or one with anything due in its lane or above still waiting, stays pending
+ * so intake-processor dispatches it in queue order.
+ */
+async function shouldDispatchNow(patientData) {
+  if (!isIntakeDue(patientData)) return false;
+  
+  const waiting = await firestore.collection('patient_intake_queue')
+    .where('status', '==', 'pending')
+    .where('priority', 'in', lanesAtOrAbove(patientData.priority))
+    .where('dueAt', '<=', new Date())
+    .limit(1)
+    .get();
+  return waiting.empty;
+}
+
+/**
+ * Record a call that did not finish the intake so staff can call back.
+ * Keyed like the intake queue, so retried deliveries do not duplicate it.
+ * `details` adds what staff need for the outcome, e.g. the fields that failed validation.
+ */
+async function queueFollowUp(followUpId, adapter, delivery, details = {}) {
+  const followUp = {
+    id: followUpId,
+    callId: delivery.externalId,
+    pathwayId: delivery.pathwayId,
+    outcome: delivery.outcome,
+    callStatus: delivery.callStatus,
+    answeredBy: delivery.answeredBy,
+    transferredTo: delivery.transferredTo,
+    callLength: delivery.callLength,
+    lastNodeId: delivery.lastNodeId,
+    callbackPhone: delivery.callbackPhone,
+    capturedVariables: delivery.variables,
+    ...details,
+    timestamp: new Date().toISOString(),
+    source: adapter.source
+  };
+  
+  const created = await createIfAbsent(firestore.collection('call_followups').doc(followUpId), {
+    ...followUp,
+    status: 'open',
+    createdAt: new Date()
+  });
+  
+  if (created) {
+    const messageId = await pubsub.topic('call-followup').publishMessage({
+      data: Buffer.from(JSON.stringify(followUp))
+    });
+    console.log(`Published to call-followup topic: ${messageId}`);
+  }
+  return created;
+}
+
+// How long a call's metrics marker is kept; later deliveries of a call arrive within minutes
+const CALL_METRICS_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Which of this delivery's funnel counts are new for its call. A call sends
+ * several deliveries (re-asks after a 422, then the end-of-call report), so
+ * call_metrics/{callKey} records what was already counted: the call itself,
+ * a valid or rejected intake, a drop, and the call length.
+ */
+async function claimCallMetrics(callKey, {intakeValid, dropped, callLength}) {
+  const markerRef = firestore.collection('call_metrics').doc(callKey);
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(markerRef);
+    const counted = doc.exists ? doc.data() : {};
+    
+    const fresh = {
+      received: !counted.received,
+      intakeValid: intakeValid === true && !counted.intakeValid,
+      // A call counts as a validation failure once, however often it was re-asked
+      intakeRejected: intakeValid === false && !counted.intakeRejected && !counted.intakeValid,
+      dropped: dropped && !counted.dropped,
+      callLength: callLength != null && !counted.callLength
+    };
+    
+    const marker = {updatedAt: new Date(), expiresAt: new Date(Date.now() + CALL_METRICS_TTL_MS)};
+    for (const [metric, isFresh] of Object.entries(fresh)) {
+      if (isFresh) marker[metric] = true;
+    }
+    transaction.set(markerRef, marker, {merge: true});
+    return fresh;
+  });
+}
+
+/**
+ * Count the call in activity-logger's funnel rollups: the call once, whether
+ * its intake was valid, where unfinished calls dropped and how long the call
+ * was, each counted once per call. Metrics must never fail the intake, so
+ * errors are only logged.
+ */
+async function publishCallActivity(adapter, delivery, {queueId, intakeValid, correlationId}) {
+  try {
+    // Keyed on the source's call ID: an Idempotency-Key header can change between deliveries
+    const callKey = delivery.externalId
+      ? `${adapter.name}_${String(delivery.externalId).replace(/\//g, '_')}`
+      : queueId;
+    const fresh = await claimCallMetrics(callKey, {
+      intakeValid,
+      dropped: delivery.outcome !== CALL_OUTCOMES.COMPLETED,
+      callLength: delivery.callLength ?? null
+    });
+    if (!Object.values(fresh).some(Boolean)) return;
+    
+    const activity = {
+      activityType: 'CALL_RECEIVED',
+      newCall: fresh.received,
+      status: fresh.intakeRejected ? 'failed' : 'success',
+      failureType: fresh.intakeRejected ? 'validation' : null,
+      queueId: queueId,
+      pathwayId: delivery.pathwayId || null,
+      outcome: fresh.dropped ? delivery.outcome : null,
+      intakeValid: fresh.intakeValid,
+      callLength: fresh.callLength ? delivery.callLength : null,
+      lastNodeId: delivery.lastNodeId || null,
+      source: adapter.source
+    };
+    await pubsub.topic('patient-activity').publishMessage({
+      data: Buffer.from(JSON.stringify(activity)),
+      attributes: correlationAttributes(correlationId)
+    });
+  } catch (error) {
+    console.error(`Could not publish call activity for ${queueId}:`, error.message);
+  }
+}
+
+async function recordSecurityEvent(req, adapter, delivery, authError) {
+  await firestore.collection('security_events').add({
+    type: `webhook_${authError.reason}`,
+    source: adapter.name,
+    status: authError.status,
+    message: authError.message,
+    callId: delivery.externalId,
+    ip: req.ip || req.headers['x-forwarded-for'] || null,
+    userAgent: req.headers['user-agent'] || null,
+    timestamp: new Date()
+  }).catch(console.error);
+}
+
+/**
+ * An end-of-call delivery whose intake failed validation. An earlier delivery
+ * of the call may already have queued a valid intake; otherwise the call goes
+ * to call_followups with the rejected fields, and the source gets a 200 since
+ * a 422 would only make it retry.
+ */
+async function routeInvalidEndedCall(adapter, delivery, validation, {res, startTime, queueId, correlationId, received, timelineLinks}) {
+  const queued = await firestore.collection('patient_intake_queue').doc(queueId).get();
+  if (queued.exists) {
+    console.log(`End-of-call delivery for ${queueId} failed validation, but its intake is already queued`);
+    await publishCallActivity(adapter, delivery, {queueId, intakeValid: null, correlationId: queued.data().correlationId});
+    return res.status(200).json({
+      success: true,
+      patientQueueId: queueId,
+      duplicate: true,
+      message: 'Patient intake already queued',
+      responseTime: Date.now() - startTime
+    });
+  }
+  
+  const followUpDelivery = {...delivery, outcome: CALL_OUTCOMES.INVALID};
+  const created = await queueFollowUp(queueId, adapter, followUpDelivery, {
+    invalidFields: validation.invalidFields,
+    validation: validation.report
+  });
+  console.log(`Call ${delivery.externalId} ended with an invalid intake - routed to follow-up${created ? '' : ' - already recorded'}`);
+  
+  if (created) {
+    await appendTimelineEvents(firestore, correlationId, [received, {
+      event: TIMELINE_EVENTS.FAILED,
+      source: 'bland-webhook',
+      details: {stage: 'validation', invalidFields: validation.invalidFields, followUpId: queueId}
+    }], timelineLinks);
+  }
+  await publishCallActivity(adapter, followUpDelivery, {queueId, intakeValid: false, correlationId});
+  
+  return res.status(200).json({
+    success: true,
+    followUpId: queueId,
+    outcome: CALL_OUTCOMES.INVALID,
+    duplicate: !created,
+    invalidFields: validation.invalidFields,
+    message: 'Call queued for staff follow-up',
+    responseTime: Date.now() - startTime
+  });
+}
+
+/**
+ * Canonical intake writer. Every source adapter ends up here, so all of them
+ * share replay protection, outcome routing, validation and idempotent queueing.
+ */
+async function handleIntake(adapter, req, res) {
   const startTime = Date.now();
+  let nonce;
+  let correlationId;
+  let timelineLinks;
   
   try {
-    // Verify webhook signature
-    const signature = req.headers['x-bland-signature'];
-    
-    if (signature && webhookSecret) {
-      const expectedSignature = crypto
-        .createHmac('sha256', webhookSecret)
-        .update(JSON.stringify(req.body))
-        .digest('hex');
-      
-      if (signature !== expectedSignature) {
-        console.error('Invalid webhook signature');
-        return res.status(401).json({success: false, error: 'Invalid signature'});
+    // Parsed up front for logging only; nothing is trusted until verified
+    const delivery = adapter.parse(req);
+    
+    // Verify the source's signature and reject replays whenever a secret is configured;
+    // sources that require one reject everything until it is
+    if (adapter.secret) {
+      try {
+        nonce = adapter.verify(req);
+        if (nonce) {
+          await claimNonce(adapter, nonce, delivery.externalId);
+        }
+      } catch (error) {
+        if (!(error instanceof WebhookAuthError)) throw error;
+        nonce = undefined;
+        
+        console.error(`Rejected ${adapter.name} webhook (${error.reason}): ${error.message}`);
+        await recordSecurityEvent(req, adapter, delivery, error);
+        return res.status(error.status).json({success: false, error: error.message});
       }
+    } else if (adapter.requireSecret) {
+      const error = new WebhookAuthError(500, 'unconfigured', `No ${adapter.name} webhook secret is configured`);
+      console.error(`Rejected ${adapter.name} webhook: ${error.message}`);
+      await recordSecurityEvent(req, adapter, delivery, error);
+      return res.status(error.status).json({success: false, error: `${adapter.name} intake is not configured`});
+    } else {
+      console.warn(`No ${adapter.name} webhook secret is configured - skipping signature verification`);
+    }
+    
+    if (delivery.ignored) {
+      console.log(`Ignoring ${adapter.name} delivery for ${delivery.externalId || 'unknown call'}: ${delivery.ignored}`);
+      return res.status(200).json({success: true, ignored: true, message: delivery.ignored});
     }
     
-    // Extract data from Bland
-    const {
-      call_id,
-      pathway_id,
-      status,
-      variables
-    } = req.body;
+    const variables = delivery.variables;
     
-    console.log(`Processing Bland call ${call_id}`);
+    console.log(`Processing ${adapter.name} call ${delivery.externalId} (status: ${delivery.callStatus || 'in-call'})`);
     console.log('Variables received:', JSON.stringify(variables));
     
-    // Generate unique queue ID
-    const queueId = `${call_id}_${Date.now()}`;
+    // Key the intake on the idempotency key (or the source's call ID) so retried
+    // deliveries of the same call map onto the same queue document
+    const idempotencyKey = req.headers['idempotency-key'] || delivery.externalId;
+    if (!idempotencyKey) {
+      return res.status(400).json({success: false, error: 'Missing call or submission ID'});
+    }
+    const sanitizedKey = String(idempotencyKey).replace(/\//g, '_');
+    const queueId = adapter.name === 'bland' ? sanitizedKey : `${adapter.name}_${sanitizedKey}`;
+    
+    // Calls that never finished the intake go to staff instead of Athena
+    const outcome = delivery.outcome;
+    if (outcome !== CALL_OUTCOMES.COMPLETED) {
+      const created = await queueFollowUp(queueId, adapter, delivery);
+      console.log(`Call ${delivery.externalId} routed to follow-up (${outcome})${created ? '' : ' - already recorded'}`);
+      await publishCallActivity(adapter, delivery, {queueId, intakeValid: null});
+      
+      return res.status(200).json({
+        success: true,
+        followUpId: queueId,
+        outcome: outcome,
+        duplicate: !created,
+        message: 'Call queued for staff follow-up',
+        responseTime: Date.now() - startTime
+      });
+    }
+    
+    // Follows the intake through every function and onto the timeline
+    correlationId = newCorrelationId();
+    timelineLinks = {queueId, callId: delivery.externalId || null, source: adapter.source};
+    const received = {
+      event: TIMELINE_EVENTS.RECEIVED,
+      source: 'bland-webhook',
+      details: {source: adapter.source, callId: delivery.externalId || null, pathwayId: delivery.pathwayId || null},
+      at: new Date(startTime)
+    };
+    
+    // Validate and normalize while the caller is still on the line
+    const validation = validateIntake(variables);
+    if (!validation.valid) {
+      console.log(`Intake ${queueId} rejected fields: ${validation.invalidFields.join(', ')}`);
+      
+      // After the call has ended nobody can be asked again: staff follow up instead
+      const callEnded = Boolean(delivery.callStatus) || delivery.callLength != null;
+      if (callEnded) {
+        return routeInvalidEndedCall(adapter, delivery, validation, {res, startTime, queueId, correlationId, received, timelineLinks});
+      }
+      
+      await appendTimelineEvents(firestore, correlationId, [received, {
+        event: TIMELINE_EVENTS.FAILED,
+        source: 'bland-webhook',
+        details: {stage: 'validation', invalidFields: validation.invalidFields}
+      }], timelineLinks);
+      await publishCallActivity(adapter, delivery, {queueId, intakeValid: false, correlationId});
+      return res.status(422).json({
+        success: false,
+        correlationId: correlationId,
+        error: 'Intake validation failed',
+        invalidFields: validation.invalidFields,
+        validation: validation.report,
+        responseTime: Date.now() - startTime
+      });
+    }
+    const fields = validation.values;
+    
+    // Practice, department, provider and appointment type come from the pathway routing table
+    const routing = await resolveRouting(firestore, delivery.pathwayId, variables);
     
     // Prepare patient data for Athena
     const patientData = {
       id: queueId,
-      callId: call_id,
-      pathwayId: pathway_id,
+      callId: delivery.externalId,
+      pathwayId: delivery.pathwayId,
       
-      // Patient demographics
-      firstName: variables.first_name,
-      lastName: variables.last_name,
-      dateOfBirth: variables.date_of_birth, // Should be ISO format
-      phone: variables.phone,
-      email: variables.email,
-      sex: variables.sex,
+      // Patient demographics (normalized by the intake schema)
+      firstName: fields.firstName,
+      lastName: fields.lastName,
+      dateOfBirth: fields.dateOfBirth, // ISO format
+      phone: fields.phone || null,
+      email: fields.email || null,
+      sex: fields.sex || null,
       
       // Address
-      houseNumber: variables.house_number,
-      street: variables.street,
-      city: variables.city,
-      state: variables.state,
-      zip: variables.zip,
+      houseNumber: fields.houseNumber || null,
+      street: fields.street || null,
+      unit: fields.unit || null,
+      city: fields.city || null,
+      state: fields.state || null,
+      zip: fields.zip || null,
+      
+      // Preferences
+      preferredLanguage: fields.preferredLanguage || null, // ISO 639-2 code
+      contactPreference: fields.contactPreference || null, // text, call, email or mail
+      
+      emergencyContact: fields.emergencyContactName ? {
+        name: fields.emergencyContactName,
+        relationship: fields.emergencyContactRelationship || null,
+        phone: fields.emergencyContactPhone || null
+      } : null,
+      
+      // Required for minors; the patient is their own guarantor otherwise
+      guarantor: fields.guarantorFirstName && fields.guarantorLastName ? {
+        firstName: fields.guarantorFirstName,
+        lastName: fields.guarantorLastName,
+        dateOfBirth: fields.guarantorDob || null, // ISO format
+        relationship: fields.guarantorRelationship || null,
+        phone: fields.guarantorPhone || null
+      } : null,
+      
+      // Insurance, added to the chart by insurance-creator once the patient exists
+      insurance: fields.insurancePayer ? {
+        payerName: fields.insurancePayer,
+        memberId: fields.insuranceMemberId || null,
+        groupNumber: fields.insuranceGroupNumber || null,
+        policyHolder: fields.policyHolder || 'self',
+        policyHolderFirstName: fields.policyHolderFirstName || null,
+        policyHolderLastName: fields.policyHolderLastName || null,
+        policyHolderDob: fields.policyHolderDob || null // ISO format
+      } : null,
+      
+      // Set when the pathway already matched the caller to an existing chart;
+      // patient-creator only uses it once the chart's name and DOB match
+      existingPatientMatchId: variables.patient_match_id || null,
+      existingAthenaPatientId: variables.athena_patient_id || null,
       
       // Appointment details
-      appointmentId: variables.selected_appointment_id,
-      appointmentTypeId: variables.selected_appointment_type_id || '15',
+      appointmentId: variables.selected_appointment_id || null,
+      appointmentTypeId: variables.selected_appointment_type_id || routing.appointmentTypeId,
+      routing: routing,
+      
+      // Why they are coming in; written to the Athena appointment as a note
+      visitReason: fields.visitReason || null,
+      callSummary: delivery.callSummary || null,
+      
+      // Call details
+      callLength: delivery.callLength,
+      lastNodeId: delivery.lastNodeId,
+      
+      // Queue lane; staff can reprioritize or hold the intake until notBefore
+      priority: fields.priority || DEFAULT_PRIORITY,
+      notBefore: null,
       
       // Metadata
       timestamp: new Date().toISOString(),
-      source: 'bland_webhook'
+      source: adapter.source
     };
     
-    // Store in Firestore queue
-    await firestore.collection('patient_intake_queue').doc(queueId).set({
-      ...patientData,
+    // An intake dispatched from here is written already leased, like an
+    // intake-processor claim, so the processor does not publish it again
+    const dispatchNow = await shouldDispatchNow(patientData);
+    const queueState = dispatchNow ? {
+      status: 'processing',
+      processingStarted: new Date(),
+      leaseOwner: `bland-webhook:${correlationId}`,
+      leaseExpiresAt: new Date(Date.now() + (await loadSettings(firestore)).intakeLeaseMinutes * MINUTE_MS),
+      retryCount: 1
+    } : {
       status: 'pending',
-      createdAt: new Date(),
       retryCount: 0
+    };
+    
+    // Store in Firestore queue, only if this call has not been queued before
+    const createdAt = new Date();
+    const created = await createIfAbsent(firestore.collection('patient_intake_queue').doc(queueId), {
+      ...patientData,
+      ...queueState,
+      dueAt: intakeDueAt({...patientData, createdAt}),
+      correlationId: correlationId,
+      normalizationReport: validation.report,
+      createdAt: createdAt
     });
     
-    console.log(`Queued patient intake: ${queueId}`);
+    if (!created) {
+      console.log(`Duplicate delivery for ${queueId} - already queued, not dispatched again`);
+      // The end-of-call delivery is the one that carries the call length
+      await publishCallActivity(adapter, delivery, {queueId, intakeValid: true});
+      return res.status(200).json({
+        success: true,
+        patientQueueId: queueId,
+        duplicate: true,
+        message: 'Patient intake already queued',
+        validation: validation.report,
+        responseTime: Date.now() - startTime
+      });
+    }
     
-    // Publish to PubSub for async processing
-    const topic = pubsub.topic('create-patient');
-    const messageBuffer = Buffer.from(JSON.stringify(patientData));
-    const messageId = await topic.publishMessage({data: messageBuffer});
+    console.log(`Queued patient intake: ${queueId} (correlation ${correlationId})`);
     
-    console.log(`Published to create-patient topic: ${messageId}`);
+    await appendTimelineEvents(firestore, correlationId, [received, {
+      event: TIMELINE_EVENTS.NORMALIZED,
+      source: 'bland-webhook',
+      details: {
+        normalizedFields: Object.keys(validation.report).filter(field => validation.report[field].status === 'normalized'),
+        lowConfidenceFields: validation.lowConfidenceFields,
+        priority: patientData.priority,
+        dispatched: dispatchNow
+      }
+    }], timelineLinks);
+    await publishCallActivity(adapter, delivery, {queueId, intakeValid: true, correlationId});
     
-    // IMMEDIATELY respond to Bland (must be under 2 seconds)
+    // Publish to PubSub for async processing; if this fails the lease runs out
+    // and intake-processor picks the intake up
+    if (dispatchNow) {
+      const messageId = await pubsub.topic('create-patient').publishMessage({
+        data: Buffer.from(JSON.stringify(patientData)),
+        attributes: correlationAttributes(correlationId)
+      });
+      console.log(`Published to create-patient topic: ${messageId}`);
+    } else {
+      console.log(`Intake ${queueId} left for intake-processor (${patientData.priority} lane)`);
+    }
+    
+    // IMMEDIATELY respond (Bland needs an answer in under 2 seconds)
     const responseTime = Date.now() - startTime;
-    console.log(`Responding to Bland in ${responseTime}ms`);
+    console.log(`Responding to ${adapter.name} in ${responseTime}ms`);
     
     res.status(200).json({
       success: true,
       patientQueueId: queueId,
+      correlationId: correlationId,
+      dispatched: dispatchNow,
       message: 'Patient creation queued successfully',
+      validation: validation.report,
+      lowConfidenceFields: validation.lowConfidenceFields,
       responseTime: responseTime
     });
-    
+  
   } catch (error) {
-    console.error('Error processing Bland webhook:', error);
+    console.error(`Error processing ${adapter.name} webhook:`, error);
+    
+    // Release the nonce so the source can retry the same delivery
+    if (nonce) {
+      await firestore.collection('webhook_nonces').doc(nonce).delete().catch(console.error);
+    }
+    
+    await appendTimelineEvents(firestore, correlationId, [{
+      event: TIMELINE_EVENTS.FAILED,
+      source: 'bland-webhook',
+      details: {stage: 'webhook', error: error.message}
+    }], timelineLinks);
     
     // Log error but still respond quickly
     await firestore.collection('errors').add({
       type: 'bland_webhook',
+      source: adapter.source,
+      queueId: timelineLinks ? timelineLinks.queueId : null,
+      correlationId: correlationId || null,
       error: error.message,
       requestBody: req.body,
       timestamp: new Date()
@@ -122,4 +552,15 @@ functions.http('blandWebhook', async (req, res) => {
       message: error.message
     });
   }
-});
\ No newline at end of file
+}
+
+functions.http('blandWebhook', (req, res) => handleIntake(getAdapter('bland'), req, res));
+
+// Other intake sources post to /intakeWebhook?source=<adapter name>
+functions.http('intakeWebhook', (req, res) => {
+  const adapter = getAdapter(req.query.source);
+  if (!adapter) {
+    return res.status(404).json({success: false, error: `Unknown intake source: ${req.query.source}`});
+  }
+  return handleIntake(adapter, req, res);
+});
@@ -0,0 +1,269 @@
+// Intake schema applied synchronously at the webhook boundary
+
+const {
+  STATE_ABBREVIATIONS,
+  normalizeSex,
+  getStateAbbreviation
+} = require('gabar-shared/normalizers');
+const {
+  CONFIDENCE,
+  parseSpokenDate,
+  parseSpokenEmail,
+  parseSpokenPhone,
+  parseSpokenUnit,
+  parseSpokenCode
+} = require('gabar-shared/spoken-input');
+const {normalizePolicyHolder} = require('gabar-shared/insurance');
+const {PRIORITY_LANES, normalizePriority} = require('gabar-shared/intake-priority');
+const {
+  normalizeLanguage,
+  normalizeContactPreference,
+  normalizeContactRelationship,
+  normalizeGuarantorRelationship,
+  isMinor
+} = require('gabar-shared/demographics');
+
+const VALID_STATES = new Set(Object.values(STATE_ABBREVIATIONS));
+
+// Each normalizer returns {value, confidence} on success or {error} with a
+// reason the pathway can read back to the caller
+function normalizeName(input) {
+  const value = String(input).replace(/"/g, '').replace(/\s+/g, ' ').trim();
+  if (!value) return {error: 'Name is empty'};
+  if (/\d/.test(value)) return {error: 'Name contains digits'};
+  return {value};
+}
+
+function normalizeDateOfBirth(input) {
+  // Accepts ISO, MM/DD/YYYY and spoken dates ("January fifteenth nineteen ninety")
+  const parsed = parseSpokenDate(input);
+  if (!parsed.value) {
+    return {error: 'Date of birth must be a valid date'};
+  }
+
+  const iso = parsed.value;
+  const date = new Date(`${iso}T00:00:00Z`);
+  if (date > new Date()) {
+    return {error: 'Date of birth is in the future'};
+  }
+  if (date.getUTCFullYear() < 1900) {
+    return {error: 'Date of birth is before 1900'};
+  }
+  return parsed;
+}
+
+function normalizePhone(input) {
+  const parsed = parseSpokenPhone(input);
+  if (!parsed.value) return {error: 'Phone must be a valid 10-digit US number'};
+  return parsed;
+}
+
+function normalizeEmail(input) {
+  const parsed = parseSpokenEmail(input);
+  if (!parsed.value) return {error: 'Email address is not valid'};
+  return parsed;
+}
+
+function normalizeUnit(input) {
+  const parsed = parseSpokenUnit(input);
+  if (!parsed.value) return {error: 'Apartment or unit number could not be read'};
+  return parsed;
+}
+
+function normalizeSexField(input) {
+  const value = normalizeSex(input);
+  if (!value) return {error: 'Sex must be male or female'};
+  return {value};
+}
+
+function normalizeState(input) {
+  const value = getStateAbbreviation(String(input).trim());
+  if (!VALID_STATES.has(value)) return {error: 'State is not a recognized US state'};
+  return {value};
+}
+
+function normalizeZip(input) {
+  const digits = String(input).replace(/[^\d-]/g, '');
+  const match = digits.match(/^(\d{5})(-?\d{4})?$/);
+  if (!match) return {error: 'ZIP code must be 5 digits'};
+  return {value: match[1]};
+}
+
+function normalizeInsuranceCode(input) {
+  const parsed = parseSpokenCode(input);
+  if (!parsed.value) return {error: 'ID could not be read'};
+  return parsed;
+}
+
+function normalizePolicyHolderField(input) {
+  const value = normalizePolicyHolder(input);
+  if (!value) return {error: 'Policy holder must be self, spouse, parent, child, partner, grandparent or other'};
+  return {value};
+}
+
+function normalizeLanguageField(input) {
+  const value = normalizeLanguage(input);
+  if (!value) return {error: 'Preferred language is not one we can record'};
+  return {value};
+}
+
+function normalizeContactPreferenceField(input) {
+  const value = normalizeContactPreference(input);
+  if (!value) return {error: 'Contact preference must be text, call, email or mail'};
+  return {value};
+}
+
+function normalizeContactRelationshipField(input) {
+  const value = normalizeContactRelationship(input);
+  if (!value) return {error: 'Emergency contact relationship is not recognized'};
+  return {value};
+}
+
+function normalizeGuarantorRelationshipField(input) {
+  const value = normalizeGuarantorRelationship(input);
+  if (!value) return {error: 'Guarantor relationship is not recognized'};
+  return {value};
+}
+
+function normalizePriorityField(input) {
+  const value = normalizePriority(input);
+  if (!value) return {error: `Priority must be one of ${PRIORITY_LANES.join(', ')}`};
+  return {value};
+}
+
+function normalizeText(input) {
+  const value = String(input).replace(/"/g, '').trim();
+  return {value};
+}
+
+/**
+ * Declared intake schema: canonical field -> Bland variable, whether it is
+ * required, and the normalizer that produces the canonical value
+ */
+const INTAKE_SCHEMA = {
+  firstName: {variable: 'first_name', required: true, normalize: normalizeName},
+  lastName: {variable: 'last_name', required: true, normalize: normalizeName},
+  dateOfBirth: {variable: 'date_of_birth', required: true, normalize: normalizeDateOfBirth},
+  phone: {variable: 'phone', normalize: normalizePhone},
+  email: {variable: 'email', normalize: normalizeEmail},
+  sex: {variable: 'sex', normalize: normalizeSexField},
+  houseNumber: {variable: 'house_number', normalize: normalizeText},
+  street: {variable: 'street', normalize: normalizeText},
+  unit: {variable: 'unit', normalize: normalizeUnit},
+  city: {variable: 'city', normalize: normalizeText},
+  state: {variable: 'state', normalize: normalizeState},
+  zip: {variable: 'zip', normalize: normalizeZip},
+  preferredLanguage: {variable: 'preferred_language', normalize: normalizeLanguageField},
+  contactPreference: {variable: 'contact_preference', normalize: normalizeContactPreferenceField},
+  visitReason: {variable: 'visit_reason', normalize: normalizeText}, // chief complaint, in the caller's words
+  priority: {variable: 'priority', normalize: normalizePriorityField}, // queue lane, e.g. urgent for same-day bookings
+
+  emergencyContactName: {variable: 'emergency_contact_name', normalize: normalizeName},
+  emergencyContactRelationship: {variable: 'emergency_contact_relationship', normalize: normalizeContactRelationshipField},
+  emergencyContactPhone: {variable: 'emergency_contact_phone', normalize: normalizePhone},
+
+  // Required for minors (see validateIntake)
+  guarantorFirstName: {variable: 'guarantor_first_name', normalize: normalizeName},
+  guarantorLastName: {variable: 'guarantor_last_name', normalize: normalizeName},
+  guarantorDob: {variable: 'guarantor_dob', normalize: normalizeDateOfBirth},
+  guarantorRelationship: {variable: 'guarantor_relationship', normalize: normalizeGuarantorRelationshipField},
+  guarantorPhone: {variable: 'guarantor_phone', normalize: normalizePhone},
+
+  // Insurance is optional; whatever is missing is collected by staff
+  insurancePayer: {variable: 'insurance_payer', normalize: normalizeText},
+  insuranceMemberId: {variable: 'insurance_member_id', normalize: normalizeInsuranceCode},
+  insuranceGroupNumber: {variable: 'insurance_group_number', normalize: normalizeInsuranceCode},
+  policyHolder: {variable: 'policy_holder_relationship', normalize: normalizePolicyHolderField},
+  policyHolderFirstName: {variable: 'policy_holder_first_name', normalize: normalizeName},
+  policyHolderLastName: {variable: 'policy_holder_last_name', normalize: normalizeName},
+  policyHolderDob: {variable: 'policy_holder_dob', normalize: normalizeDateOfBirth}
+};
+
+/**
+ * Run the intake schema over Bland variables.
+ * Returns {valid, values, report, invalidFields, lowConfidenceFields} where
+ * report holds one entry per field:
+ * {status: valid|normalized|missing|dropped|rejected, input, value, confidence, reason}
+ * Only required fields reject the intake; an optional field that cannot be
+ * read is dropped and listed with the low-confidence fields to ask again.
+ */
+function validateIntake(variables = {}) {
+  const values = {};
+  const report = {};
+  const invalidFields = [];
+  const lowConfidenceFields = [];
+
+  for (const [field, rule] of Object.entries(INTAKE_SCHEMA)) {
+    const input = variables[rule.variable];
+
+    if (input === undefined || input === null || String(input).trim() === '') {
+      if (rule.required) {
+        report[field] = {status: 'rejected', input: input ?? null, reason: 'Required field is missing'};
+        invalidFields.push(field);
+      } else {
+        report[field] = {status: 'missing'};
+      }
+      continue;
+    }
+
+    const result = rule.normalize(input);
+    if (result.error && rule.required) {
+      report[field] = {status: 'rejected', input, reason: result.error};
+      invalidFields.push(field);
+      continue;
+    }
+    if (result.error) {
+      report[field] = {status: 'dropped', input, reason: result.error};
+      lowConfidenceFields.push(field);
+      continue;
+    }
+
+    values[field] = result.value;
+    const unchanged = result.value === input;
+    report[field] = {
+      status: unchanged ? 'valid' : 'normalized',
+      input,
+      value: result.value,
+      confidence: result.confidence || (unchanged ? CONFIDENCE.HIGH : CONFIDENCE.MEDIUM)
+    };
+
+    // Guessed values are kept, but the pathway should read them back to the caller
+    if (report[field].confidence === CONFIDENCE.LOW) {
+      lowConfidenceFields.push(field);
+    }
+  }
+
+  // Athena needs at least one way to reach the patient
+  if (!values.email && !values.phone && !values.zip) {
+    report._contact = {status: 'rejected', reason: 'At least one of email, phone or ZIP is required'};
+    invalidFields.push('_contact');
+  }
+
+  // A minor cannot be their own guarantor, so the pathway must collect one
+  if (values.dateOfBirth && isMinor(values.dateOfBirth)) {
+    const hasGuarantor = values.guarantorFirstName && values.guarantorLastName &&
+      values.guarantorRelationship && values.guarantorRelationship !== 'self';
+    if (!hasGuarantor) {
+      report._guarantor = {status: 'rejected', reason: 'Patient is a minor: guarantor name and relationship are required'};
+      invalidFields.push('_guarantor');
+    }
+  }
+
+  // Not a rejection: the intake still goes through and staff finish the insurance
+  if (values.insurancePayer && !values.insuranceMemberId) {
+    report._insurance = {status: 'missing', reason: 'Insurance member ID is needed to add the policy'};
+  }
+
+  return {
+    valid: invalidFields.length === 0,
+    values,
+    report,
+    invalidFields,
+    lowConfidenceFields
+  };
+}
+
+module.exports = {
+  INTAKE_SCHEMA,
+  validateIntake
+};
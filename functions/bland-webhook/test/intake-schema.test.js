@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {validateIntake} = require('../intake-schema');
+
+const CALLER = {
+  first_name: 'Jane',
+  last_name: 'Doe',
+  date_of_birth: 'January fifteenth nineteen ninety',
+  phone: '702-555-1234'
+};
+
+test('accepts a complete intake and normalizes what the caller said', () => {
+  const validation = validateIntake({
+    ...CALLER,
+    email: 'jane dot doe at example dot com',
+    sex: 'female',
+    state: 'Nevada',
+    zip: '89101-1234',
+    unit: 'apartment four b'
+  });
+
+  assert.equal(validation.valid, true);
+  assert.deepEqual(validation.invalidFields, []);
+  assert.deepEqual(validation.lowConfidenceFields, []);
+  assert.deepEqual(validation.values, {
+    firstName: 'Jane',
+    lastName: 'Doe',
+    dateOfBirth: '1990-01-15',
+    phone: '7025551234',
+    email: 'jane.doe@example.com',
+    sex: 'F',
+    state: 'NV',
+    zip: '89101',
+    unit: 'Apt 4B'
+  });
+  assert.equal(validation.report.firstName.status, 'valid');
+  assert.equal(validation.report.dateOfBirth.status, 'normalized');
+  assert.equal(validation.report.city.status, 'missing');
+});
+
+test('rejects an intake missing a required field', () => {
+  const validation = validateIntake({...CALLER, last_name: ' '});
+  assert.equal(validation.valid, false);
+  assert.deepEqual(validation.invalidFields, ['lastName']);
+  assert.equal(validation.report.lastName.reason, 'Required field is missing');
+});
+
+test('rejects an intake whose required field cannot be read', () => {
+  const future = validateIntake({...CALLER, date_of_birth: '01/15/2999'});
+  assert.deepEqual(future.invalidFields, ['dateOfBirth']);
+  assert.equal(future.report.dateOfBirth.reason, 'Date of birth is in the future');
+
+  const impossible = validateIntake({...CALLER, date_of_birth: 'February thirtieth nineteen ninety'});
+  assert.deepEqual(impossible.invalidFields, ['dateOfBirth']);
+
+  const digits = validateIntake({...CALLER, first_name: 'J4ne'});
+  assert.deepEqual(digits.invalidFields, ['firstName']);
+});
+
+test('drops an optional field that cannot be read instead of rejecting the intake', () => {
+  const validation = validateIntake({...CALLER, email: 'jane at nowhere', state: 'Atlantis'});
+  assert.equal(validation.valid, true);
+  assert.equal(validation.values.email, undefined);
+  assert.equal(validation.values.state, undefined);
+  assert.deepEqual(validation.lowConfidenceFields, ['email', 'state']);
+  assert.deepEqual(validation.report.email, {status: 'dropped', input: 'jane at nowhere', reason: 'Email address is not valid'});
+});
+
+test('flags guessed values as low confidence', () => {
+  const validation = validateIntake({...CALLER, date_of_birth: '12/05/05', email: 'jane at gmail'});
+  assert.equal(validation.valid, true);
+  assert.equal(validation.values.dateOfBirth, '2005-12-05');
+  assert.deepEqual(validation.lowConfidenceFields, ['dateOfBirth', 'email']);
+});
+
+test('requires a way to reach the patient', () => {
+  const validation = validateIntake({...CALLER, phone: 'call me maybe'});
+  assert.equal(validation.valid, false);
+  assert.deepEqual(validation.invalidFields, ['_contact']);
+  assert.equal(validation.report.phone.status, 'dropped');
+});
+
+test('requires a guarantor for a minor', () => {
+  const year = new Date().getFullYear() - 10;
+  const minor = {...CALLER, date_of_birth: `01/15/${year}`};
+  assert.deepEqual(validateIntake(minor).invalidFields, ['_guarantor']);
+
+  const withGuarantor = validateIntake({
+    ...minor,
+    guarantor_first_name: 'John',
+    guarantor_last_name: 'Doe',
+    guarantor_relationship: 'father'
+  });
+  assert.equal(withGuarantor.valid, true);
+});
+
+test('notes insurance without a member ID without rejecting the intake', () => {
+  const validation = validateIntake({...CALLER, insurance_payer: 'Aetna'});
+  assert.equal(validation.valid, true);
+  assert.equal(validation.report._insurance.status, 'missing');
+});
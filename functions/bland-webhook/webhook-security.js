@@ -0,0 +1,83 @@
+// Signature helpers shared by the intake source adapters
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Signed deliveries older (or further in the future) than this are rejected;
+// BLAND_SIGNATURE_TOLERANCE_SECONDS is the name it had when only Bland was signed
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(
+  process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS || process.env.BLAND_SIGNATURE_TOLERANCE_SECONDS || '300', 10);
+
+class WebhookAuthError extends Error {
+  constructor(status, reason, message) {
+    super(message);
+    this.name = 'WebhookAuthError';
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+// Load a secret from the file path provided by an environment variable
+function loadSecret(envVar) {
+  const secretPath = process.env[envVar];
+  return secretPath ? fs.readFileSync(secretPath, 'utf8').trim() : undefined;
+}
+
+/**
+ * Verify an HMAC-SHA256 signature over `${timestamp}.${rawBody}`.
+ * The timestamp is part of the signed content, so it cannot be altered without
+ * invalidating the signature. Returns the verified signature, which doubles as
+ * the delivery nonce.
+ */
+function verifyTimestampedHmac(req, secret, {signatureHeader, timestampHeader}) {
+  const signature = req.headers[signatureHeader];
+  const timestamp = req.headers[timestampHeader];
+  
+  if (!signature) {
+    throw new WebhookAuthError(401, 'signature_missing', 'Missing webhook signature');
+  }
+  if (!timestamp || !/^\d+$/.test(timestamp)) {
+    throw new WebhookAuthError(401, 'timestamp_missing', 'Missing or malformed webhook timestamp');
+  }
+  
+  const ageSeconds = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+  if (ageSeconds > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new WebhookAuthError(401, 'timestamp_out_of_range', `Webhook timestamp is ${ageSeconds}s old`);
+  }
+  
+  const rawBody = req.rawBody || Buffer.from('');
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest();
+  const received = Buffer.from(String(signature), 'hex');
+  
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new WebhookAuthError(401, 'signature_invalid', 'Invalid webhook signature');
+  }
+  
+  return expected.toString('hex');
+}
+
+// Constant-time comparison of a shared secret sent verbatim in a header
+function verifySharedSecret(req, secret, header) {
+  const value = req.headers[header];
+  if (!value) {
+    throw new WebhookAuthError(401, 'signature_missing', 'Missing webhook secret');
+  }
+  
+  const received = Buffer.from(String(value));
+  const expected = Buffer.from(secret);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new WebhookAuthError(401, 'signature_invalid', 'Invalid webhook secret');
+  }
+}
+
+module.exports = {
+  SIGNATURE_TOLERANCE_SECONDS,
+  WebhookAuthError,
+  loadSecret,
+  verifyTimestampedHmac,
+  verifySharedSecret
+};
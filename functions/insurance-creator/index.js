@@ -0,0 +1,232 @@
+/**
+ * Insurance Creator for Gabar AI Athena Integration
+ * Matches the payer the caller named against the configured payer list and
+ * adds the insurance package to the new patient's Athena chart, so front-desk
+ * staff no longer call every patient back for insurance
+ */
+
+const {Firestore} = require('@google-cloud/firestore');
+const {SecretManagerServiceClient} = require('@google-cloud/secret-manager');
+const {KeyManagementServiceClient} = require('@google-cloud/kms');
+const {PubSub} = require('@google-cloud/pubsub');
+const {formatDateForAthena, normalizeSex} = require('gabar-shared/normalizers');
+const {MATCH_STATUS} = require('gabar-shared/patient-match');
+const {loadPayerList, matchPayer, relationshipToInsuredId} = require('gabar-shared/insurance');
+const {ERROR_CLASS, classifyAthenaError, publishDeadLetter} = require('gabar-shared/athena-errors');
+const {AthenaClient} = require('gabar-shared/athena-client');
+
+const firestore = new Firestore();
+const secretClient = new SecretManagerServiceClient();
+const kmsClient = new KeyManagementServiceClient();
+const pubsub = new PubSub();
+const athena = new AthenaClient({firestore, pubsub, secretClient, kmsClient});
+
+// How long an insurance claim blocks other deliveries of the same intake
+const INSURANCE_LEASE_MS = 2 * 60 * 1000;
+
+/**
+ * Claim the right to add insurance for an intake.
+ * `patient_insurance` docs are keyed on the intake ID, so a Pub/Sub redelivery
+ * finds the earlier policy instead of adding it to the chart twice.
+ * Returns {status: 'claimed' | 'created' | 'review' | 'in_progress', record}.
+ */
+async function claimInsuranceCreation(insuranceRef) {
+    return firestore.runTransaction(async (transaction) => {
+        const doc = await transaction.get(insuranceRef);
+        const record = doc.exists ? doc.data() : null;
+        
+        if (record && (record.status === 'created' || record.status === 'review')) {
+            return {status: record.status, record};
+        }
+        
+        const startedAt = record?.creationStartedAt?.toDate?.();
+        if (record && record.status === 'creating' && startedAt &&
+            Date.now() - startedAt.getTime() < INSURANCE_LEASE_MS) {
+            return {status: 'in_progress', record};
+        }
+        
+        transaction.set(insuranceRef, {
+            status: 'creating',
+            creationStartedAt: new Date()
+        }, {merge: true});
+        return {status: 'claimed', record};
+    });
+}
+
+/**
+ * Hand the insurance to staff when the payer could not be matched confidently
+ * or the policy is missing details Athena needs
+ */
+async function holdForInsuranceReview(data, reason, candidates, insuranceRef) {
+    console.log(`Insurance for intake ${data.originalRecordId} needs staff review (${reason})`);
+    
+    await firestore.collection('staff_reviews').doc(`${data.originalRecordId}_insurance`).set({
+        type: 'insurance',
+        reason: reason,
+        queueId: data.originalRecordId,
+        athenaPatientId: data.patientId,
+        insurance: data.insurance,
+        candidates: candidates,
+        status: 'open',
+        createdAt: new Date()
+    });
+    
+    await insuranceRef.set({
+        status: 'review',
+        reviewReason: reason,
+        reviewAt: new Date()
+    }, {merge: true});
+    
+    await firestore.collection('patient_intake_queue').doc(data.originalRecordId).update({
+        insuranceStatus: 'review',
+        insuranceReviewReason: reason
+    });
+}
+
+// The chart's policy with the same package and member ID, if there is one
+async function findExistingInsurance(patientId, payload, practiceId) {
+    const insurances = await athena.getPatientInsurances(patientId, {practiceId});
+    return insurances.find(existing =>
+        String(existing.insurancepackageid) === String(payload.insurancepackageid) &&
+        String(existing.insuranceidnumber || '').toUpperCase() === String(payload.insuranceidnumber).toUpperCase()
+    ) || null;
+}
+
+exports.createPatientInsurance = async (message, context) => {
+    const data = JSON.parse(Buffer.from(message.data, 'base64').toString());
+    const insurance = data.insurance;
+    
+    console.log(`Adding insurance "${insurance.payerName}" for patient ${data.patientId}`);
+    
+    const insuranceRef = firestore.collection('patient_insurance').doc(data.originalRecordId);
+    const claim = await claimInsuranceCreation(insuranceRef);
+    
+    if (claim.status === 'created' || claim.status === 'review') {
+        console.log(`Insurance for intake ${data.originalRecordId} already ${claim.status === 'created' ? 'created' : 'with staff'} - skipping`);
+        return {success: true, duplicate: true};
+    }
+    
+    if (claim.status === 'in_progress') {
+        // Let Pub/Sub redeliver once the other attempt has finished or its lease expired
+        throw new Error(`Insurance creation for intake ${data.originalRecordId} is already in progress`);
+    }
+    
+    let created = false;
+    
+    try {
+        const payers = await loadPayerList(firestore);
+        const match = matchPayer(payers, insurance.payerName);
+        
+        if (match.status !== MATCH_STATUS.MATCH) {
+            const reason = match.status === MATCH_STATUS.AMBIGUOUS ? 'ambiguous_payer' : 'unknown_payer';
+            await holdForInsuranceReview(data, reason, match.candidates, insuranceRef);
+            return {success: false, status: 'review'};
+        }
+        
+        if (!insurance.memberId) {
+            await holdForInsuranceReview(data, 'missing_member_id', match.candidates, insuranceRef);
+            return {success: false, status: 'review'};
+        }
+        
+        // Athena needs the holder's name when the patient is not the holder
+        const isSelf = insurance.policyHolder === 'self';
+        if (!isSelf && (!insurance.policyHolderFirstName || !insurance.policyHolderLastName)) {
+            await holdForInsuranceReview(data, 'missing_policy_holder', match.candidates, insuranceRef);
+            return {success: false, status: 'review'};
+        }
+        
+        const patientSex = normalizeSex(data.patient.sex);
+        const payload = {
+            insurancepackageid: match.payer.insurancePackageId,
+            insuranceidnumber: insurance.memberId,
+            policynumber: insurance.groupNumber,
+            sequencenumber: 1, // primary
+            relationshiptoinsuredid: relationshipToInsuredId(insurance.policyHolder, patientSex),
+            insurancepolicyholderfirstname: isSelf ? data.patient.firstName : insurance.policyHolderFirstName,
+            insurancepolicyholderlastname: isSelf ? data.patient.lastName : insurance.policyHolderLastName,
+            insurancepolicyholderdob: formatDateForAthena(isSelf ? data.patient.dateOfBirth : insurance.policyHolderDob),
+            insurancepolicyholdersex: isSelf ? patientSex : null
+        };
+        
+        console.log(`Matched payer "${insurance.payerName}" to ${match.payer.name} (package ${match.payer.insurancePackageId})`);
+        
+        // A returning patient, or an earlier attempt that timed out after Athena
+        // saved the policy, may already have it; the create itself is never retried
+        const onChart = await findExistingInsurance(data.patientId, payload, data.practiceId);
+        const athenaInsurance = onChart ||
+            await athena.createPatientInsurance(data.patientId, payload, {practiceId: data.practiceId});
+        created = true;
+        if (onChart) {
+            console.log(`Patient ${data.patientId} already has package ${payload.insurancepackageid} - not adding it again`);
+        }
+        
+        await insuranceRef.set({
+            status: 'created',
+            athenaPatientId: data.patientId,
+            insurancePackageId: match.payer.insurancePackageId,
+            payerName: match.payer.name,
+            spokenPayerName: insurance.payerName,
+            athenaInsuranceId: athenaInsurance?.insuranceid ? String(athenaInsurance.insuranceid) : null,
+            createdAt: new Date()
+        });
+        
+        await firestore.collection('patient_intake_queue').doc(data.originalRecordId).update({
+            insuranceStatus: 'created',
+            insuranceCreatedAt: new Date()
+        });
+        
+        await pubsub.topic('patient-activity').publish(Buffer.from(JSON.stringify({
+            patientId: data.patientId,
+            lastName: data.patient.lastName,
+            activityType: 'INSURANCE_CREATED',
+            status: 'success',
+            insurancePackageId: match.payer.insurancePackageId
+        })));
+        
+        return {success: true};
+    
+    } catch (error) {
+        const classification = classifyAthenaError(error);
+        console.error(`Insurance creation failed (${classification}):`, error.message);
+        if (error.response) {
+            console.error('Response data:', error.response.data);
+        }
+        
+        // Release the claim unless Athena already has the policy
+        if (created) {
+            await insuranceRef.set({status: 'created'}, {merge: true}).catch(console.error);
+        } else {
+            await insuranceRef.delete().catch(console.error);
+        }
+        
+        // Log error
+        await firestore.collection('errors').add({
+            type: 'insurance_creation',
+            queueId: data.originalRecordId,
+            patientId: data.patientId,
+            error: error.message,
+            classification: classification,
+            attempts: error.attempts || 1,
+            details: error.response?.data || {},
+            timestamp: new Date()
+        });
+        
+        await firestore.collection('patient_intake_queue').doc(data.originalRecordId).update({
+            insuranceStatus: 'error',
+            insuranceError: error.message
+        }).catch(console.error);
+        
+        // Retrying a permanent failure cannot help: dead-letter it and ack the message
+        if (classification === ERROR_CLASS.PERMANENT) {
+            await publishDeadLetter(pubsub, {
+                functionName: 'insurance-creator',
+                payload: data,
+                error
+            });
+            return {success: false, deadLettered: true};
+        }
+        
+        // Transient and auth failures go back to Pub/Sub for redelivery
+        throw error;
+    }
+};
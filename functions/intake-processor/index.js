@@ -1,60 +1,341 @@
 /**
  * Patient Intake Processor for Gabar AI Athena Integration
  * Processes new patient forms from the intake queue
+ *
+ * Each intake is claimed in a transaction with a lease (owner + expiry), so
+ * overlapping scheduler runs never publish the same intake twice. Intakes
+ * whose lease ran out without patient-creator finishing them are reclaimed
+ * on a later run, until retryCount reaches intakeMaxAttempts.
+ *
+ * Due intakes are claimed by priority lane, oldest first. Staff pause,
+ * resume, reprioritize or hold intakes through the intake-action topic.
+ * blandWebhook only dispatches an intake itself when nothing in its lane or
+ * above is waiting, and leases it when it does; everything else starts here.
  */
 
 const {Firestore} = require('@google-cloud/firestore');
 const {PubSub} = require('@google-cloud/pubsub');
+const crypto = require('crypto');
+const {loadSettings} = require('gabar-shared/settings');
+const {ERROR_CLASS, publishDeadLetter} = require('gabar-shared/athena-errors');
+const {
+    PRIORITY_LANES,
+    normalizePriority,
+    isIntakeDue,
+    intakeDueAt,
+    compareIntakes
+} = require('gabar-shared/intake-priority');
+const {correlationAttributes} = require('gabar-shared/intake-timeline');
 
 const firestore = new Firestore();
 const pubsub = new PubSub();
 
+const MINUTE_MS = 60 * 1000;
+
+function leaseExpiry(record) {
+    return record.leaseExpiresAt?.toMillis?.() || 0;
+}
+
+function isLeaseExpired(record) {
+    return record.status === 'processing' && leaseExpiry(record) <= Date.now();
+}
+
+/**
+ * Intakes to claim this run, up to the batch size: expired leases, then due
+ * pending intakes lane by lane, longest due first. Every query is bounded;
+ * they use the composite indexes in setup/firestore.indexes.json.
+ */
+async function loadClaimCandidates(batchSize) {
+    const queue = firestore.collection('patient_intake_queue');
+    const now = new Date();
+    
+    const expired = await queue
+        .where('status', '==', 'processing')
+        .where('leaseExpiresAt', '<=', now)
+        .orderBy('leaseExpiresAt')
+        .limit(batchSize)
+        .get();
+    const candidates = [...expired.docs];
+    
+    for (const lane of PRIORITY_LANES) {
+        if (candidates.length >= batchSize) break;
+        const due = await queue
+            .where('status', '==', 'pending')
+            .where('priority', '==', lane)
+            .where('dueAt', '<=', now)
+            .orderBy('dueAt')
+            .limit(batchSize - candidates.length)
+            .get();
+        candidates.push(...due.docs);
+    }
+    
+    return candidates
+        .filter(doc => doc.id !== '_schema_example')
+        .sort((a, b) => compareIntakes(a.data(), b.data()));
+}
+
+/**
+ * Claim one intake for `owner`.
+ * Returns {status: 'claimed' | 'exhausted' | 'taken', record}; 'taken' means
+ * another run claimed it first, staff paused or held it, or it moved on
+ * since it was read.
+ */
+async function claimIntake(ref, owner, settings) {
+    return firestore.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) return {status: 'taken', record: null};
+        
+        const record = doc.data();
+        const claimable = (record.status === 'pending' && isIntakeDue(record)) || isLeaseExpired(record);
+        if (!claimable) {
+            return {status: 'taken', record};
+        }
+        
+        const attempts = record.retryCount || 0;
+        if (attempts >= settings.intakeMaxAttempts) {
+            transaction.update(ref, {
+                status: 'error',
+                error: `Gave up after ${attempts} attempts`,
+                errorClassification: ERROR_CLASS.PERMANENT,
+                errorAt: new Date(),
+                leaseOwner: null,
+                leaseExpiresAt: null
+            });
+            return {status: 'exhausted', record};
+        }
+        
+        transaction.update(ref, {
+            status: 'processing',
+            processingStarted: new Date(),
+            leaseOwner: owner,
+            leaseExpiresAt: new Date(Date.now() + settings.intakeLeaseMinutes * MINUTE_MS),
+            retryCount: attempts + 1
+        });
+        return {status: 'claimed', record: {...record, retryCount: attempts + 1}};
+    });
+}
+
+// Put a claimed intake back to pending when it could not be published
+async function releaseIntake(ref, owner) {
+    await firestore.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (doc.exists && doc.data().status === 'processing' && doc.data().leaseOwner === owner) {
+            transaction.update(ref, {
+                status: 'pending',
+                leaseOwner: null,
+                leaseExpiresAt: null
+            });
+        }
+    });
+}
+
+// An intake out of attempts goes to staff through the dead-letter queue
+async function giveUpOnIntake(doc, record) {
+    const error = new Error(`Intake ${doc.id} was not processed after ${record.retryCount || 0} attempts`);
+    error.classification = ERROR_CLASS.PERMANENT;
+    error.attempts = record.retryCount || 0;
+    
+    console.error(`❌ ${error.message} - dead-lettering`);
+    await firestore.collection('errors').add({
+        type: 'intake_processing',
+        queueId: doc.id,
+        error: error.message,
+        classification: ERROR_CLASS.PERMANENT,
+        attempts: error.attempts,
+        timestamp: new Date()
+    });
+    await publishDeadLetter(pubsub, {
+        functionName: 'intake-processor',
+        payload: {id: doc.id, ...record},
+        error
+    });
+}
+
+/**
+ * Staff actions on queued intakes: the statuses each one applies to and the
+ * update it makes. Only intakes not yet handed to patient-creator can change.
+ */
+const INTAKE_ACTIONS = {
+    pause: {
+        from: ['pending'],
+        update: () => ({status: 'paused'})
+    },
+    resume: {
+        from: ['paused'],
+        update: () => ({status: 'pending', notBefore: null})
+    },
+    hold: {
+        from: ['pending', 'paused'],
+        update: request => ({status: 'pending', notBefore: parseHoldUntil(request.notBefore)})
+    },
+    reprioritize: {
+        from: ['pending', 'paused'],
+        update: request => ({priority: parsePriority(request.priority)})
+    }
+};
+
+function parseHoldUntil(value) {
+    const notBefore = new Date(value);
+    if (!value || isNaN(notBefore.getTime())) {
+        throw new Error(`Hold needs a valid notBefore time, got "${value}"`);
+    }
+    if (notBefore.getTime() <= Date.now()) {
+        throw new Error(`Hold time ${notBefore.toISOString()} is already past`);
+    }
+    return notBefore;
+}
+
+function parsePriority(value) {
+    const priority = normalizePriority(value);
+    if (!priority) throw new Error(`Unknown priority "${value}"`);
+    return priority;
+}
+
+// Every staff action lands in intake_action_log, applied or not
+function actionLogEntry(request, outcome, details) {
+    return {
+        queueId: request.queueId || null,
+        action: request.action || null,
+        requestedBy: request.requestedBy || null,
+        reason: request.reason || null,
+        outcome: outcome, // applied or rejected
+        ...details,
+        timestamp: new Date()
+    };
+}
+
+/**
+ * Apply a staff action to a queued intake
+ * Message: {queueId, action: pause|resume|hold|reprioritize, priority,
+ * notBefore, reason, requestedBy}
+ */
+exports.applyIntakeAction = async (message, context) => {
+    const request = JSON.parse(Buffer.from(message.data, 'base64').toString());
+    const logRef = firestore.collection('intake_action_log');
+    
+    const action = INTAKE_ACTIONS[request.action];
+    let update;
+    try {
+        if (!request.queueId) throw new Error('Intake action has no queueId');
+        if (!action) throw new Error(`Unknown intake action "${request.action}"`);
+        update = action.update(request);
+    } catch (error) {
+        // A malformed request cannot succeed on redelivery: log it and ack
+        console.error(`❌ Rejected intake action: ${error.message}`);
+        await logRef.add(actionLogEntry(request, 'rejected', {rejectionReason: error.message}));
+        return {success: false, rejected: true, error: error.message};
+    }
+    
+    const intakeRef = firestore.collection('patient_intake_queue').doc(request.queueId);
+    const result = await firestore.runTransaction(async (transaction) => {
+        const doc = await transaction.get(intakeRef);
+        const record = doc.exists ? doc.data() : null;
+        const fromStatus = record ? record.status : null;
+        
+        if (!record || !action.from.includes(fromStatus)) {
+            const rejectionReason = record
+                ? `Cannot ${request.action} an intake that is ${fromStatus}`
+                : `Intake ${request.queueId} does not exist`;
+            transaction.set(logRef.doc(), actionLogEntry(request, 'rejected', {fromStatus, rejectionReason}));
+            return {applied: false, rejectionReason};
+        }
+        
+        // A hold or resume moves the intake to its new place in the queue
+        const dueAt = 'notBefore' in update ? {dueAt: intakeDueAt({...record, ...update})} : {};
+        transaction.update(intakeRef, {
+            ...update,
+            ...dueAt,
+            lastAction: request.action,
+            lastActionBy: request.requestedBy || null,
+            lastActionAt: new Date()
+        });
+        transaction.set(logRef.doc(), actionLogEntry(request, 'applied', {
+            fromStatus,
+            toStatus: update.status || fromStatus,
+            changes: update
+        }));
+        return {applied: true};
+    });
+    
+    if (!result.applied) {
+        console.log(`Intake action ${request.action} on ${request.queueId} rejected: ${result.rejectionReason}`);
+        return {success: false, rejected: true, error: result.rejectionReason};
+    }
+    
+    console.log(`✅ Intake ${request.queueId}: ${request.action} by ${request.requestedBy || 'unknown'}`);
+    return {success: true, action: request.action};
+};
+
 exports.processIntakeQueue = async (message, context) => {
     console.log('📋 Processing patient intake queue...');
     
+    const owner = `${process.env.K_REVISION || 'local'}:${crypto.randomUUID()}`;
+    
     try {
-        // Query for unprocessed patients
-        const snapshot = await firestore.collection('patient_intake_queue')
-            .where('status', '==', 'pending')
-            .limit(10)
-            .get();
+        const settings = await loadSettings(firestore);
+        const candidates = await loadClaimCandidates(settings.processingBatchSize);
         
-        if (snapshot.empty) {
+        if (!candidates.length) {
             console.log('No new patients to process');
             return {processed: 0};
         }
         
-        console.log(`Found ${snapshot.size} new patient(s) to process`);
+        console.log(`Found ${candidates.length} patient(s) to process`);
         
         let processedCount = 0;
-        for (const doc of snapshot.docs) {
-            const patientData = doc.data();
+        let exhaustedCount = 0;
+        for (const doc of candidates) {
+            const claim = await claimIntake(doc.ref, owner, settings);
+            if (claim.status === 'taken') {
+                console.log(`Intake ${doc.id} already claimed - skipping`);
+                continue;
+            }
+            if (claim.status === 'exhausted') {
+                await giveUpOnIntake(doc, claim.record);
+                exhaustedCount++;
+                continue;
+            }
             
-            // Mark as processing
-            await doc.ref.update({
-                status: 'processing',
-                processingStarted: new Date()
-            });
+            const patientData = claim.record;
+            if (patientData.status === 'processing') {
+                console.log(`♻️ Reclaimed expired lease on intake ${doc.id} (attempt ${patientData.retryCount})`);
+            }
             
-            // Publish to patient creation topic
-            const messageData = {
-                id: doc.id,
-                ...patientData
-            };
+            try {
+                // Publish to patient creation topic
+                const messageData = {
+                    id: doc.id,
+                    ...patientData
+                };
+                
+                // The webhook's correlation ID stays with the intake on every republish
+                await pubsub.topic('create-patient').publishMessage({
+                    data: Buffer.from(JSON.stringify(messageData)),
+                    attributes: correlationAttributes(patientData.correlationId)
+                });
+            } catch (error) {
+                // Leave it for the next run rather than waiting out the lease
+                console.error(`❌ Could not queue intake ${doc.id}:`, error.message);
+                await releaseIntake(doc.ref, owner);
+                await firestore.collection('errors').add({
+                    type: 'intake_processing',
+                    queueId: doc.id,
+                    error: error.message,
+                    timestamp: new Date()
+                });
+                continue;
+            }
             
-            await pubsub.topic('create-patient').publish(
-                Buffer.from(JSON.stringify(messageData))
-            );
-            
-            console.log(`✅ Queued patient ${patientData.firstName} ${patientData.lastName}`);
+            console.log(`✅ Queued patient ${patientData.firstName} ${patientData.lastName} (${patientData.priority || 'normal'})`);
             processedCount++;
         }
         
         return {
             success: true,
-            processed: processedCount
+            processed: processedCount,
+            exhausted: exhaustedCount
         };
-        
+    
     } catch (error) {
         console.error('❌ Intake processing failed:', error);
         
@@ -67,4 +348,4 @@ exports.processIntakeQueue = async (message, context) => {
         
         throw error;
     }
-};
\ No newline at end of file
+};
@@ -1,17 +1,86 @@
 /**
  * OAuth Token Manager for Gabar AI Athena Integration
- * Refreshes AthenaHealth Bearer tokens before expiration
- * Based on the token management pattern from your Airtable scripts
+ * Refreshes AthenaHealth Bearer tokens before expiration with the
+ * client-credentials grant against Athena's token endpoint, stores them
+ * encrypted, and re-encrypts the stored token when its key is rotated
  */
 
 const {Firestore} = require('@google-cloud/firestore');
 const {SecretManagerServiceClient} = require('@google-cloud/secret-manager');
+const {KeyManagementServiceClient} = require('@google-cloud/kms');
+const {PubSub} = require('@google-cloud/pubsub');
 const axios = require('axios');
+const crypto = require('crypto');
+const {loadSettings} = require('gabar-shared/settings');
+const {resolveAthenaEnvironment} = require('gabar-shared/athena-environments');
+const {TokenStore} = require('gabar-shared/token-store');
+const {acquireRefreshLease, releaseRefreshLease, waitForRefresh} = require('gabar-shared/token-refresh');
 
 const firestore = new Firestore();
 const secretClient = new SecretManagerServiceClient();
+const pubsub = new PubSub();
+const tokenStore = new TokenStore({firestore, kmsClient: new KeyManagementServiceClient()});
 const PROJECT_ID = 'gabar-ai-athena-integration';
 
+const TOKEN_TIMEOUT_MS = 15000;
+
+async function readSecret(name) {
+    const [version] = await secretClient.accessSecretVersion({
+        name: `projects/${PROJECT_ID}/secrets/${name}/versions/latest`
+    });
+    return version.payload.data.toString().trim();
+}
+
+/**
+ * Client-credentials grant: the client ID and secret go in a Basic header,
+ * the grant type and scope in the form body
+ */
+async function requestToken(environment) {
+    const [clientId, clientSecret] = await Promise.all([
+        readSecret(environment.clientIdSecret),
+        readSecret(environment.clientSecretSecret)
+    ]);
+    
+    const form = new URLSearchParams({grant_type: 'client_credentials', scope: environment.scope});
+    const response = await axios.post(environment.tokenUrl, form.toString(), {
+        timeout: TOKEN_TIMEOUT_MS,
+        headers: {
+            'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        }
+    });
+    
+    if (!response.data || !response.data.access_token) {
+        throw new Error('Athena token endpoint returned no access_token');
+    }
+    return response.data;
+}
+
+// What the token endpoint said about a failure, for token_refresh_log
+function tokenErrorDetails(error) {
+    const data = error.response?.data;
+    return {
+        httpStatus: error.response?.status || null,
+        errorCode: data?.error || error.code || null,
+        errorDescription: data?.error_description || data?.detailedmessage || null
+    };
+}
+
+/**
+ * The forceTokenRefresh request a message carries. Cloud Scheduler runs send
+ * no data or a payload that is not ours, and are treated as scheduled.
+ */
+function parseRefreshRequest(message) {
+    if (!message || !message.data) return {};
+    try {
+        const request = JSON.parse(Buffer.from(message.data, 'base64').toString());
+        return request && typeof request === 'object' ? request : {};
+    } catch (error) {
+        console.warn('⚠️ Refresh message data is not JSON - treating it as a scheduled run');
+        return {};
+    }
+}
+
 /**
  * Main function to refresh OAuth token
  * Triggered by Cloud Scheduler or Pub/Sub
@@ -19,50 +88,78 @@ const PROJECT_ID = 'gabar-ai-athena-integration';
 exports.refreshAthenaToken = async (message, context) => {
     console.log('🔑 Starting OAuth token refresh for Gabar AI...');
     
+    // forceTokenRefresh says why it asked; scheduled runs carry no request
+    const request = parseRefreshRequest(message);
+    const reason = request.reason || 'scheduled';
+    
+    // Single flight: while another instance refreshes, wait for its token instead
+    const owner = `${process.env.K_REVISION || 'local'}:${crypto.randomUUID()}`;
+    const tokenRef = firestore.collection('api_tokens').doc('athena-current');
+    const currentDoc = await tokenRef.get();
+    const lastRefreshed = currentDoc.exists ? currentDoc.data().lastRefreshed?.toMillis?.() || 0 : 0;
+    
+    if (!await acquireRefreshLease(firestore, owner)) {
+        console.log('🔒 Another refresh holds the lease - waiting for its token');
+        await waitForRefresh(firestore, lastRefreshed);
+        return {success: true, skipped: true, message: 'Token refreshed by another instance'};
+    }
+    
+    // Requests queued behind a refresh that already happened need no second one
+    if (request.requestedAt && lastRefreshed > new Date(request.requestedAt).getTime()) {
+        await releaseRefreshLease(firestore, owner);
+        console.log('✅ Token already refreshed since this request - skipping');
+        return {success: true, skipped: true, message: 'Token already refreshed'};
+    }
+    
+    let environment = null;
+    
     try {
-        console.log('🌐 Requesting new token from existing authentication function...');
+        environment = resolveAthenaEnvironment(await loadSettings(firestore));
         
-        const tokenResponse = await axios.get('https://us-east4-mvp-availability-dashboard.cloudfunctions.net/authenticate-athena');
+        console.log(`🌐 Requesting new ${environment.name} token from ${environment.tokenUrl}...`);
+        
+        const tokenResponse = await requestToken(environment);
         
         console.log('✅ Token received successfully');
         
-        // Step 3: Calculate expiration (50 minutes from now for safety)
+        // Calculate expiration, keeping a safety buffer
         const now = new Date();
-        const expiresIn = tokenResponse.data.expires_in || 3600; // Default 1 hour
+        const expiresIn = tokenResponse.expires_in || 3600; // Default 1 hour
         const safetyBuffer = 600; // 10 minute safety buffer
         const expiresAt = new Date(now.getTime() + (expiresIn - safetyBuffer) * 1000);
         
-        // Step 4: Store token in Firestore (matching your Airtable structure)
+        // Store token in Firestore (matching your Airtable structure)
         const tokenData = {
-            token: tokenResponse.data.access_token,
+            token: tokenResponse.access_token,
             type: 'Bearer',
             service: 'Athenahealth',
             createdAt: now,
             expiresAt: expiresAt,
             expiresIn: expiresIn,
-            scope: tokenResponse.data.scope || '',
-            environment: 'production',
+            scope: tokenResponse.scope || environment.scope,
+            environment: environment.name,
             lastRefreshed: now,
             refreshCount: 0
         };
         
-        // Get previous token to track refresh count
-        const previousDoc = await firestore.collection('api_tokens').doc('athena-current').get();
-        if (previousDoc.exists) {
-            const previousData = previousDoc.data();
-            tokenData.refreshCount = (previousData.refreshCount || 0) + 1;
+        // Track refresh count from the previous token
+        if (currentDoc.exists) {
+            tokenData.refreshCount = (currentDoc.data().refreshCount || 0) + 1;
         }
         
-        // Store the new token
-        await firestore.collection('api_tokens').doc('athena-current').set(tokenData);
+        // Store the new token, encrypted
+        await tokenStore.write(tokenData);
         
-        console.log('✅ Token stored in Firestore');
+        console.log('✅ Token stored in Firestore (encrypted)');
         console.log(`📅 Token expires at: ${expiresAt.toISOString()}`);
         console.log(`🔄 This is refresh #${tokenData.refreshCount}`);
         
         // Log success for monitoring
         await firestore.collection('token_refresh_log').add({
             status: 'success',
+            reason: reason,
+            environment: environment.name,
+            scope: tokenData.scope,
             timestamp: now,
             expiresAt: expiresAt,
             refreshCount: tokenData.refreshCount
@@ -73,7 +170,7 @@ exports.refreshAthenaToken = async (message, context) => {
             expiresAt: expiresAt,
             message: 'Token refreshed successfully'
         };
-        
+    
     } catch (error) {
         console.error('❌ Token refresh failed:', error.message);
         
@@ -82,6 +179,17 @@ exports.refreshAthenaToken = async (message, context) => {
             console.error('Response data:', error.response.data);
         }
         
+        // Keep the token endpoint's own explanation (invalid_client, invalid_scope, ...)
+        await firestore.collection('token_refresh_log').add({
+            status: 'error',
+            reason: reason,
+            environment: environment ? environment.name : null,
+            tokenUrl: environment ? environment.tokenUrl : null,
+            error: error.message,
+            ...tokenErrorDetails(error),
+            timestamp: new Date()
+        });
+        
         // Log error for debugging
         await firestore.collection('errors').add({
             type: 'token_refresh',
@@ -91,14 +199,51 @@ exports.refreshAthenaToken = async (message, context) => {
         });
         
         // Publish to error topic for monitoring
-        const {PubSub} = require('@google-cloud/pubsub');
-        const pubsub = new PubSub();
         await pubsub.topic('error-notifications').publish(Buffer.from(JSON.stringify({
             function: 'oauth-manager',
             error: error.message,
             timestamp: new Date().toISOString()
         })));
         
+        throw error;
+    } finally {
+        await releaseRefreshLease(firestore, owner).catch(console.error);
+    }
+};
+
+/**
+ * Re-encrypt the stored token under the current key
+ * Run after adding a KMS key version (or a new line on top of the key file);
+ * the old key keeps decrypting until the token has been re-encrypted
+ */
+exports.rotateTokenKey = async (message, context) => {
+    console.log('🔐 Re-encrypting stored Athena token under the current key...');
+    
+    try {
+        const result = await tokenStore.rotate();
+        if (result.rotated) {
+            console.log(`✅ Token re-encrypted: ${result.from} → ${result.to}`);
+        } else {
+            console.log(`✅ Nothing to rotate (${result.reason})`);
+        }
+        
+        await firestore.collection('token_refresh_log').add({
+            status: result.rotated ? 'key_rotated' : 'key_rotation_skipped',
+            fromKeyId: result.from || null,
+            toKeyId: result.to || null,
+            reason: result.reason || null,
+            timestamp: new Date()
+        });
+        
+        return {success: true, ...result};
+    
+    } catch (error) {
+        console.error('❌ Token key rotation failed:', error.message);
+        await firestore.collection('errors').add({
+            type: 'token_key_rotation',
+            error: error.message,
+            timestamp: new Date()
+        });
         throw error;
     }
 };
@@ -109,7 +254,9 @@ exports.refreshAthenaToken = async (message, context) => {
  */
 exports.refreshTokenHttp = async (req, res) => {
     try {
-        const result = await exports.refreshAthenaToken({}, {});
+        const result = await exports.refreshAthenaToken({
+            data: Buffer.from(JSON.stringify({reason: 'manual'})).toString('base64')
+        }, {});
         res.status(200).json(result);
     } catch (error) {
         res.status(500).json({
@@ -5,157 +5,273 @@
 
 const {Firestore} = require('@google-cloud/firestore');
 const {SecretManagerServiceClient} = require('@google-cloud/secret-manager');
+const {KeyManagementServiceClient} = require('@google-cloud/kms');
 const {PubSub} = require('@google-cloud/pubsub');
-const axios = require('axios');
+const {
+    formatDateForAthena,
+    cleanPhone,
+    normalizeSex
+} = require('gabar-shared/normalizers');
+const {standardizeAddress} = require('gabar-shared/address');
+const {CONTACT_PREFERENCES, GUARANTOR_RELATIONSHIP_IDS, isMinor} = require('gabar-shared/demographics');
+const {diffDemographics} = require('gabar-shared/demographic-diff');
+const {CONFIDENCE, normalizeSpokenFields} = require('gabar-shared/spoken-input');
+const {MATCH_STATUS, findPatientMatch, confirmPatientIdentity} = require('gabar-shared/patient-match');
+const {resolveRouting} = require('gabar-shared/routing');
+const {isIntakeDue} = require('gabar-shared/intake-priority');
+const {
+    TIMELINE_EVENTS,
+    correlationIdFrom,
+    correlationAttributes,
+    appendTimelineEvent
+} = require('gabar-shared/intake-timeline');
+const {ERROR_CLASS, classifyAthenaError, publishDeadLetter} = require('gabar-shared/athena-errors');
+const {AthenaClient} = require('gabar-shared/athena-client');
 
 const firestore = new Firestore();
 const secretClient = new SecretManagerServiceClient();
+const kmsClient = new KeyManagementServiceClient();
 const pubsub = new PubSub();
-const PROJECT_ID = 'gabar-ai-athena-integration';
+const athena = new AthenaClient({firestore, pubsub, secretClient, kmsClient});
 
-// Verbal number conversions from your Airtable script
-const VERBAL_NUMBERS = {
-    'zero': '0', 'one': '1', 'two': '2', 'three': '3', 'four': '4',
-    'five': '5', 'six': '6', 'seven': '7', 'eight': '8', 'nine': '9',
-    'ten': '10', 'eleven': '11', 'twelve': '12', 'thirteen': '13',
-    'fourteen': '14', 'fifteen': '15', 'sixteen': '16', 'seventeen': '17',
-    'eighteen': '18', 'nineteen': '19', 'twenty': '20',
-    'thirty': '30', 'forty': '40', 'fifty': '50', 'sixty': '60',
-    'seventy': '70', 'eighty': '80', 'ninety': '90',
-    'hundred': '100', 'thousand': '1000'
-};
-
-// State abbreviations from your Airtable script
-const STATE_ABBREVIATIONS = {
-    'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR',
-    'california': 'CA', 'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE',
-    'florida': 'FL', 'georgia': 'GA', 'hawaii': 'HI', 'idaho': 'ID',
-    'illinois': 'IL', 'indiana': 'IN', 'iowa': 'IA', 'kansas': 'KS',
-    'kentucky': 'KY', 'louisiana': 'LA', 'maine': 'ME', 'maryland': 'MD',
-    'massachusetts': 'MA', 'michigan': 'MI', 'minnesota': 'MN', 'mississippi': 'MS',
-    'missouri': 'MO', 'montana': 'MT', 'nebraska': 'NE', 'nevada': 'NV',
-    'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY',
-    'north carolina': 'NC', 'north dakota': 'ND', 'ohio': 'OH', 'oklahoma': 'OK',
-    'oregon': 'OR', 'pennsylvania': 'PA', 'rhode island': 'RI', 'south carolina': 'SC',
-    'south dakota': 'SD', 'tennessee': 'TN', 'texas': 'TX', 'utah': 'UT',
-    'vermont': 'VT', 'virginia': 'VA', 'washington': 'WA', 'west virginia': 'WV',
-    'wisconsin': 'WI', 'wyoming': 'WY'
-};
+// How long a creation claim blocks other deliveries of the same intake
+const CREATION_LEASE_MS = 2 * 60 * 1000;
 
-// Convert verbal numbers to numeric (from your Airtable script)
-function convertVerbalToNumeric(verbalText) {
-    if (!verbalText) return '';
-    
-    const cleaned = String(verbalText).trim().toLowerCase();
-    
-    if (/^\d+$/.test(cleaned)) {
-        return cleaned;
-    }
-    
-    if (VERBAL_NUMBERS[cleaned]) {
-        return VERBAL_NUMBERS[cleaned];
-    }
-    
-    // Handle compound numbers
-    if (cleaned.includes('-') || cleaned.includes(' ')) {
-        const parts = cleaned.split(/[\s-]+/);
-        let total = 0;
-        let current = 0;
-        
-        for (const part of parts) {
-            if (VERBAL_NUMBERS[part]) {
-                const value = parseInt(VERBAL_NUMBERS[part]);
-                if (part === 'hundred') {
-                    current = (current || 1) * 100;
-                } else if (part === 'thousand') {
-                    total += (current || 1) * 1000;
-                    current = 0;
-                } else {
-                    current += value;
-                }
-            }
+/**
+ * Claim the right to create the Athena patient for an intake.
+ * The `patients` doc is keyed on the intake ID, so Pub/Sub redeliveries of the
+ * same intake resolve to the same claim instead of a second Athena chart.
+ * Returns {status: 'claimed' | 'created' | 'in_progress', record}.
+ */
+async function claimPatientCreation(patientRef) {
+    return firestore.runTransaction(async (transaction) => {
+        const doc = await transaction.get(patientRef);
+        const record = doc.exists ? doc.data() : null;
+        
+        if (record && record.athenaPatientId) {
+            return {status: 'created', record};
         }
         
-        total += current;
-        if (total > 0) {
-            return total.toString();
+        const startedAt = record?.creationStartedAt?.toDate?.();
+        if (record && record.status === 'creating' && startedAt &&
+            Date.now() - startedAt.getTime() < CREATION_LEASE_MS) {
+            return {status: 'in_progress', record};
         }
-    }
-    
-    // Handle ordinal numbers
-    const ordinalMatch = cleaned.match(/^(\d+)(st|nd|rd|th)$/);
-    if (ordinalMatch) {
-        return ordinalMatch[1];
-    }
-    
-    return verbalText;
+        
+        transaction.set(patientRef, {
+            status: 'creating',
+            creationStartedAt: new Date()
+        }, {merge: true});
+        return {status: 'claimed', record};
+    });
 }
 
-// Build street address from house number and street
-function buildStreetAddress(houseNumber, street) {
-    const numericHouseNumber = convertVerbalToNumeric(houseNumber);
-    const cleanedStreet = street ? String(street).trim().replace(/"/g, '') : '';
+// Routing resolved by the webhook, or resolved now for intakes queued before it was stored
+async function getRouting(patientData) {
+    return patientData.routing || resolveRouting(firestore, patientData.pathwayId, {});
+}
+
+// Publish the booking request and remember that it was sent
+async function queueAppointmentBooking(patientData, athenaPatientId, patientRef, correlationId) {
+    const routing = await getRouting(patientData);
     
-    if (numericHouseNumber && cleanedStreet) {
-        return `${numericHouseNumber} ${cleanedStreet}`;
-    } else if (cleanedStreet) {
-        return cleanedStreet;
-    } else if (numericHouseNumber) {
-        return numericHouseNumber;
-    }
+    console.log(`Publishing to book-appointment with appointmentId: ${patientData.appointmentId}`);
+    await pubsub.topic('book-appointment').publishMessage({
+        data: Buffer.from(JSON.stringify({
+            patientId: athenaPatientId,
+            appointmentId: patientData.appointmentId,
+            appointmentTypeId: patientData.appointmentTypeId || routing.appointmentTypeId,
+            practiceId: routing.practiceId,
+            departmentId: routing.departmentId,
+            sendConfirmationEmail: routing.sendConfirmationEmail,
+            visitReason: patientData.visitReason || null,
+            callSummary: patientData.callSummary || null,
+            pathwayId: patientData.pathwayId || null,
+            originalRecordId: patientData.id
+        })),
+        attributes: correlationAttributes(correlationId)
+    });
+    await patientRef.update({bookingQueuedAt: new Date()});
     
-    return '';
+    console.log('Queued for appointment booking');
 }
 
-// Format date from ISO to US format
-function formatDateForAthena(isoDate) {
-    if (!isoDate || typeof isoDate !== 'string') return '';
+/**
+ * Athena fields for language, contact preference, emergency contact and
+ * guarantor. A patient without a guarantor is their own.
+ */
+function buildDemographicsPayload(patientData) {
+    const preference = CONTACT_PREFERENCES[patientData.contactPreference];
+    const contact = patientData.emergencyContact;
+    const guarantor = patientData.guarantor;
     
-    const parts = isoDate.split('-');
-    if (parts.length !== 3) return isoDate;
+    const fields = {
+        language6392code: patientData.preferredLanguage,
+        contactpreference: preference?.athena,
+        consenttotext: preference ? preference.consentToText : null,
+        contactname: contact?.name,
+        contactrelationship: contact?.relationship,
+        contactmobilephone: contact ? cleanPhone(contact.phone) : null
+    };
     
-    // Basic validation for year, month, and day
-    const [year, month, day] = parts.map(p => parseInt(p, 10));
-    if (isNaN(year) || isNaN(month) || isNaN(day) || month < 1 || month > 12 || day < 1 || day > 31) {
-        return '';
+    if (guarantor) {
+        Object.assign(fields, {
+            guarantorfirstname: guarantor.firstName,
+            guarantorlastname: guarantor.lastName,
+            guarantordob: formatDateForAthena(guarantor.dateOfBirth),
+            guarantorrelationshiptopatient: GUARANTOR_RELATIONSHIP_IDS[guarantor.relationship] || GUARANTOR_RELATIONSHIP_IDS.other,
+            guarantorphone: cleanPhone(guarantor.phone),
+            guarantoraddresssameaspatient: true
+        });
     }
-
-    return `${parts[1]}/${parts[2]}/${parts[0]}`; // MM/DD/YYYY
+    return fields;
 }
 
-// Clean phone number
-function cleanPhone(phone) {
-    if (!phone) return '';
+// One audit entry per changed field, keyed so a redelivery overwrites rather than duplicates
+async function recordDemographicChanges(queueId, athenaPatientId, changes, status) {
+    if (!changes.length) return;
     
-    let cleaned = phone.replace(/\D/g, '');
+    const batch = firestore.batch();
+    for (const change of changes) {
+        batch.set(firestore.collection('demographic_audit').doc(`${queueId}_${change.field}`), {
+            queueId: queueId,
+            athenaPatientId: athenaPatientId,
+            field: change.field,
+            from: change.from,
+            to: change.to,
+            sensitive: change.sensitive,
+            status: status, // applied, pending_approval, rejected
+            source: 'intake',
+            recordedAt: new Date()
+        });
+    }
+    await batch.commit();
+}
+
+/**
+ * Bring a matched chart up to date with what the caller told us. Only fields
+ * that differ from Athena are sent; sensitive ones (name, DOB, sex) wait in
+ * staff_reviews until someone approves them.
+ * Returns {applied: [field], pending: [field]}.
+ */
+async function updateMatchedDemographics(patientData, athenaPatientId, proposed, practiceId) {
+    const current = await athena.getPatient(athenaPatientId, {practiceId});
+    const changes = diffDemographics(current || {}, proposed);
+    const applied = changes.filter(change => !change.sensitive);
+    const pending = changes.filter(change => change.sensitive);
     
-    // Remove leading 1 if 11 digits
-    if (cleaned.length === 11 && cleaned.startsWith('1')) {
-        cleaned = cleaned.substring(1);
+    if (applied.length) {
+        console.log(`Updating ${applied.map(change => change.field).join(', ')} on patient ${athenaPatientId}`);
+        const fields = Object.fromEntries(applied.map(change => [change.field, change.to]));
+        await athena.updatePatient(athenaPatientId, fields, {practiceId});
     }
+    await recordDemographicChanges(patientData.id, athenaPatientId, applied, 'applied');
     
-    // Validate NANP format
-    if (cleaned.length === 10 && cleaned[0] >= '2' && cleaned[0] <= '9' && 
-        cleaned[3] >= '2' && cleaned[3] <= '9') {
-        return cleaned;
+    if (pending.length) {
+        console.log(`Holding ${pending.map(change => change.field).join(', ')} on patient ${athenaPatientId} for staff approval`);
+        await recordDemographicChanges(patientData.id, athenaPatientId, pending, 'pending_approval');
+        await firestore.collection('staff_reviews').doc(`${patientData.id}_demographics`).set({
+            type: 'demographic_change',
+            reason: 'sensitive_field_change',
+            queueId: patientData.id,
+            athenaPatientId: athenaPatientId,
+            practiceId: practiceId,
+            changes: pending,
+            status: 'open',
+            createdAt: new Date()
+        });
     }
     
-    return '';
+    return {
+        applied: applied.map(change => change.field),
+        pending: pending.map(change => change.field)
+    };
 }
 
-// Normalize sex field
-function normalizeSex(value) {
-    const cleaned = String(value || '').replace(/"/g, '').trim().toUpperCase();
-    if (cleaned === 'MAN' || cleaned === 'M' || cleaned === 'MALE') return 'M';
-    if (cleaned === 'WOMAN' || cleaned === 'F' || cleaned === 'FEMALE') return 'F';
-    return '';
+// Publish the caller's insurance for insurance-creator and remember that it was sent
+async function queueInsuranceCreation(patientData, athenaPatientId, patientRef, correlationId) {
+    const routing = await getRouting(patientData);
+    
+    console.log(`Publishing to create-insurance for payer: ${patientData.insurance.payerName}`);
+    await pubsub.topic('create-insurance').publishMessage({
+        data: Buffer.from(JSON.stringify({
+            patientId: athenaPatientId,
+            practiceId: routing.practiceId,
+            patient: {
+                firstName: patientData.firstName,
+                lastName: patientData.lastName,
+                dateOfBirth: patientData.dateOfBirth,
+                sex: patientData.sex
+            },
+            insurance: patientData.insurance,
+            originalRecordId: patientData.id
+        })),
+        attributes: correlationAttributes(correlationId)
+    });
+    await patientRef.update({insuranceQueuedAt: new Date()});
+    
+    console.log('Queued for insurance creation');
+}
+
+/**
+ * Hold an intake whose caller may already have a chart but could not be
+ * matched confidently, instead of creating a second chart
+ */
+async function holdForMatchReview(patientData, match, patientRef) {
+    console.log(`Ambiguous existing-patient match for intake ${patientData.id} - holding for staff review`);
+    
+    await firestore.collection('staff_reviews').doc(`${patientData.id}_patient_match`).set({
+        type: 'ambiguous_patient_match',
+        queueId: patientData.id,
+        firstName: patientData.firstName,
+        lastName: patientData.lastName,
+        dateOfBirth: patientData.dateOfBirth,
+        candidates: match.candidates,
+        status: 'open',
+        createdAt: new Date()
+    });
+    
+    await firestore.collection('patient_intake_queue').doc(patientData.id).update({
+        status: 'review',
+        reviewReason: 'ambiguous_patient_match',
+        reviewAt: new Date()
+    });
+    
+    await patientRef.delete();
 }
 
-// Get state abbreviation
-function getStateAbbreviation(stateName) {
-    if (!stateName) return '';
-    if (stateName.length === 2) return stateName.toUpperCase();
-    return STATE_ABBREVIATIONS[stateName.toLowerCase()] || stateName;
+/**
+ * The chart the pathway says the caller already has: a patient_lookups
+ * reference from the mid-call lookup, or a raw athena_patient_id variable.
+ * Call variables are not trusted, so the chart must carry the intake's name
+ * and DOB; otherwise null, and the intake goes through best-match instead.
+ */
+async function resolveSuppliedPatient(patientData, formattedDob, practiceId) {
+    let suppliedId = patientData.existingAthenaPatientId || null;
+    if (patientData.existingPatientMatchId) {
+        const lookup = await firestore.collection('patient_lookups').doc(String(patientData.existingPatientMatchId)).get();
+        if (lookup.exists) {
+            suppliedId = lookup.data().athenaPatientId;
+        }
+    }
+    if (!suppliedId) return null;
+    
+    const confirmed = await confirmPatientIdentity(athena, suppliedId, {
+        firstName: patientData.firstName,
+        lastName: patientData.lastName,
+        dob: formattedDob
+    }, {practiceId});
+    if (!confirmed) {
+        console.warn(`Supplied patient ${suppliedId} does not match intake ${patientData.id} by name and DOB - ignoring it`);
+        await firestore.collection('security_events').add({
+            type: 'supplied_patient_mismatch',
+            queueId: patientData.id,
+            suppliedPatientId: String(suppliedId),
+            timestamp: new Date()
+        }).catch(console.error);
+        return null;
+    }
+    return String(suppliedId);
 }
 
 // Main patient creation function
@@ -165,35 +281,88 @@ exports.createAthenaPatient = async (message, context) => {
     console.log('patientData: ', patientData);
     console.log('Creating patient:', patientData.firstName, patientData.lastName);
     
-    try {
-        // Get OAuth token from Firestore
-        const tokenDoc = await firestore.collection('api_tokens').doc('athena-current').get();
-        if (!tokenDoc.exists) {
-            throw new Error('No valid token found. Run token refresh first.');
-        }
-        const tokenData = tokenDoc.data();
+    // Staff paused or held the intake after it was published; intake-processor
+    // queues it again once it is resumed or due
+    const intakeDoc = await firestore.collection('patient_intake_queue').doc(patientData.id).get();
+    const intake = intakeDoc.exists ? intakeDoc.data() : null;
+    if (intake && (intake.status === 'paused' || (intake.status === 'pending' && !isIntakeDue(intake)))) {
+        console.log(`Intake ${patientData.id} is ${intake.status === 'paused' ? 'paused' : 'on hold'} - not creating yet`);
+        return {success: true, deferred: true};
+    }
+    
+    // Messages republished without the attribute still belong to the webhook's timeline
+    const correlationId = correlationIdFrom(message) || intake?.correlationId || null;
+    
+    const patientRef = firestore.collection('patients').doc(patientData.id);
+    const claim = await claimPatientCreation(patientRef);
+    
+    if (claim.status === 'created') {
+        const existingId = claim.record.athenaPatientId;
+        console.log(`Intake ${patientData.id} already created as patient ${existingId} - skipping`);
         
-        // Get secrets
-        const [practiceIdSecret] = await secretClient.accessSecretVersion({
-            name: `projects/${PROJECT_ID}/secrets/athena-practice-id/versions/latest`
-        });
-        const [departmentIdSecret] = await secretClient.accessSecretVersion({
-            name: `projects/${PROJECT_ID}/secrets/athena-department-id/versions/latest`
-        });
-        const [baseUrlSecret] = await secretClient.accessSecretVersion({
-            name: `projects/${PROJECT_ID}/secrets/athena-base-url/versions/latest`
+        // A previous delivery may have failed between creating and queueing the booking
+        if (patientData.appointmentId && !claim.record.bookingQueuedAt) {
+            await queueAppointmentBooking(patientData, existingId, patientRef, correlationId);
+        }
+        if (patientData.insurance && claim.record.status === 'created' && !claim.record.insuranceQueuedAt) {
+            await queueInsuranceCreation(patientData, existingId, patientRef, correlationId);
+        }
+        await firestore.collection('patient_intake_queue').doc(patientData.id).update({
+            status: 'completed',
+            athenaPatientId: existingId
         });
+        return {success: true, patientId: existingId, duplicate: true};
+    }
+    
+    if (claim.status === 'in_progress') {
+        // Let Pub/Sub redeliver once the other attempt has finished or its lease expired
+        throw new Error(`Patient creation for intake ${patientData.id} is already in progress`);
+    }
+    
+    let athenaPatientId;
+    
+    try {
+        // The pathway's route overrides the practice-wide secrets
+        const config = await athena.getConfig();
+        const routing = await getRouting(patientData);
+        const practiceId = routing.practiceId || config.practiceId;
+        const departmentId = routing.departmentId || config.departmentId;
         
-        const practiceId = practiceIdSecret.payload.data.toString();
-        const departmentId = departmentIdSecret.payload.data.toString();
-        const baseUrl = baseUrlSecret.payload.data.toString();
+        // Transcripts can still carry spoken values ("seven oh two...", "john at
+        // gmail dot com"); parse them before anything is treated as missing
+        const spoken = normalizeSpokenFields(patientData);
+        const lowConfidenceFields = Object.keys(spoken.confidence)
+            .filter(field => spoken.confidence[field] === CONFIDENCE.LOW);
+        if (lowConfidenceFields.length) {
+            console.warn(`Low-confidence spoken values for intake ${patientData.id}: ${lowConfidenceFields.join(', ')}`);
+        }
         
         // Process patient data (using your Airtable logic)
-        const streetAddress = buildStreetAddress(patientData.houseNumber, patientData.street);
-        const cleanedPhone = cleanPhone(patientData.phone);
-        const formattedDob = formatDateForAthena(patientData.dateOfBirth);
+        const cleanedPhone = spoken.values.phone || cleanPhone(patientData.phone);
+        const formattedDob = formatDateForAthena(spoken.values.dateOfBirth || patientData.dateOfBirth);
+        const email = spoken.values.email || null;
         const normalizedSex = normalizeSex(patientData.sex);
-        const stateAbbr = getStateAbbreviation(patientData.state);
+        
+        // USPS abbreviations, unit split into address2, ZIP checked against state and city
+        const address = standardizeAddress({
+            houseNumber: patientData.houseNumber,
+            street: patientData.street,
+            unit: spoken.values.unit || null,
+            city: patientData.city,
+            state: patientData.state,
+            zip: patientData.zip
+        });
+        if (address.issues.length) {
+            console.warn(`Address issues for intake ${patientData.id}: ${address.issues.map(issue => issue.message).join('; ')}`);
+        }
+        
+        // Kept with the patient record so every correction can be audited
+        const addressRecord = {
+            streetAddress: address.address1,
+            addressCorrections: address.corrections,
+            addressIssues: address.issues,
+            addressChecks: address.checks
+        };
         
         // Validate required fields
         if (!patientData.firstName || !patientData.lastName || !formattedDob) {
@@ -201,56 +370,141 @@ exports.createAthenaPatient = async (message, context) => {
         }
         
         // Must have at least one contact method
-        if (!patientData.email && !cleanedPhone && !patientData.zip) {
+        if (!email && !cleanedPhone && !address.zip) {
             throw new Error('At least one contact method (email, phone, or ZIP) is required');
         }
         
-        // Build API payload
-        const payload = new URLSearchParams({
+        // blandWebhook rejects these, but intakes can reach the queue other ways
+        const patientDob = spoken.values.dateOfBirth || patientData.dateOfBirth;
+        if (isMinor(patientDob) && !patientData.guarantor) {
+            throw new Error('Patient is a minor and no guarantor was provided');
+        }
+        
+        // Build API payload (the client leaves out empty optional fields); for a
+        // returning caller it is also what their chart is compared against
+        const payload = {
             firstname: patientData.firstName,
             lastname: patientData.lastName,
             dob: formattedDob,
-            departmentid: departmentId
-        });
+            departmentid: departmentId,
+            email: email,
+            mobilephone: cleanedPhone,
+            sex: normalizedSex,
+            address1: address.address1,
+            address2: address.address2,
+            city: address.city,
+            state: address.state,
+            zip: address.zip,
+            ...buildDemographicsPayload(patientData)
+        };
         
-        // Add optional fields
-        if (patientData.email) payload.append('email', patientData.email);
-        if (cleanedPhone) payload.append('mobilephone', cleanedPhone);
-        if (normalizedSex) payload.append('sex', normalizedSex);
-        if (streetAddress) payload.append('address1', streetAddress);
-        if (patientData.city) payload.append('city', patientData.city);
-        if (stateAbbr) payload.append('state', stateAbbr);
-        if (patientData.zip) payload.append('zip', patientData.zip);
+        // Returning callers attach to their existing chart. The pathway may already
+        // have matched them mid-call; otherwise search Athena before creating.
+        let existingPatientId = await resolveSuppliedPatient(patientData, formattedDob, practiceId);
+        if (!existingPatientId) {
+            const match = await findPatientMatch(athena, {
+                firstName: patientData.firstName,
+                lastName: patientData.lastName,
+                dob: formattedDob,
+                phone: cleanedPhone
+            }, {practiceId, departmentId});
+            
+            if (match.status === MATCH_STATUS.AMBIGUOUS) {
+                await holdForMatchReview(patientData, match, patientRef);
+                return {success: false, status: 'review'};
+            }
+            existingPatientId = match.patientId;
+        }
         
-        console.log('Sending to AthenaHealth API...');
-        console.log('Payload:', payload.toString());
-        
-        // Call AthenaHealth API
-        const response = await axios.post(
-            `${baseUrl}/v1/${practiceId}/patients`,
-            payload.toString(),
-            {
-                headers: {
-                    'Authorization': `${tokenData.type} ${tokenData.token}`,
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
+        if (existingPatientId) {
+            athenaPatientId = existingPatientId;
+            console.log('Matched existing patient with ID:', athenaPatientId);
+            
+            // A failed update must not lose the match; staff can redo it from the errors log
+            let demographicUpdate;
+            try {
+                demographicUpdate = await updateMatchedDemographics(patientData, athenaPatientId, payload, practiceId);
+            } catch (updateError) {
+                console.error(`Demographic update failed for patient ${athenaPatientId}:`, updateError.message);
+                await firestore.collection('errors').add({
+                    type: 'demographic_update',
+                    queueId: patientData.id,
+                    patientId: athenaPatientId,
+                    error: updateError.message,
+                    classification: classifyAthenaError(updateError),
+                    attempts: updateError.attempts || 1,
+                    details: updateError.response?.data || {},
+                    timestamp: new Date()
+                });
+                demographicUpdate = {error: updateError.message};
+            }
+            
+            await patientRef.set({
+                ...patientData,
+                athenaPatientId: athenaPatientId,
+                matchedExistingPatient: true,
+                matchedAt: new Date(),
+                status: 'matched',
+                demographicUpdate: demographicUpdate,
+                ...addressRecord,
+                spokenInputConfidence: spoken.confidence
+            });
+            
+            await firestore.collection('patient_intake_queue').doc(patientData.id).update({
+                status: 'completed',
+                athenaPatientId: athenaPatientId,
+                matchedExistingPatient: true,
+                completedAt: new Date()
+            });
+            
+            if (patientData.appointmentId) {
+                await queueAppointmentBooking(patientData, athenaPatientId, patientRef, correlationId);
             }
-        );
+            
+            await appendTimelineEvent(firestore, correlationId, {
+                event: TIMELINE_EVENTS.CREATED,
+                source: 'patient-creator',
+                details: {athenaPatientId: athenaPatientId, matchedExisting: true}
+            }, {queueId: patientData.id, athenaPatientId});
+            
+            await pubsub.topic('patient-activity').publishMessage({
+                data: Buffer.from(JSON.stringify({
+                    patientId: athenaPatientId,
+                    lastName: patientData.lastName,
+                    activityType: 'PATIENT_MATCHED',
+                    status: 'success',
+                    pathwayId: patientData.pathwayId || null,
+                    callLength: patientData.callLength,
+                    lastNodeId: patientData.lastNodeId,
+                    patientRecordCreated: false,
+                    bookedAppt: !!patientData.appointmentId
+                })),
+                attributes: correlationAttributes(correlationId)
+            });
+            
+            return {
+                success: true,
+                patientId: athenaPatientId,
+                matchedExisting: true
+            };
+        }
         
-        // Extract patient ID from response
-        const athenaPatientId = Array.isArray(response.data) 
-            ? response.data[0].patientid 
-            : response.data.patientid;
+        console.log('Sending to AthenaHealth API...');
+        
+        // Not retried in place: a redelivery searches best-match again first, so a
+        // chart Athena saved before timing out is matched instead of duplicated
+        athenaPatientId = await athena.createPatient(payload, {practiceId});
         
         console.log('Patient created with ID:', athenaPatientId);
         
         // Update patient record in Firestore
-        await firestore.collection('patients').doc(patientData.id).set({
+        await patientRef.set({
             ...patientData,
             athenaPatientId: athenaPatientId,
             athenaCreatedAt: new Date(),
             status: 'created',
-            streetAddress: streetAddress
+            ...addressRecord,
+            spokenInputConfidence: spoken.confidence
         });
         
         // Update intake queue status
@@ -262,45 +516,71 @@ exports.createAthenaPatient = async (message, context) => {
         
         // Publish to appointment booking topic if appointment ID exists
         if (patientData.appointmentId) {
-            console.log(`Publishing to book-appointment with appointmentId: ${patientData.appointmentId}`);
-            await pubsub.topic('book-appointment').publish(Buffer.from(JSON.stringify({
-                patientId: athenaPatientId,
-                appointmentId: patientData.appointmentId,
-                appointmentTypeId: patientData.appointmentTypeId || '15',
-                originalRecordId: patientData.id
-            })));
-            
-            console.log('Queued for appointment booking');
+            await queueAppointmentBooking(patientData, athenaPatientId, patientRef, correlationId);
         }
         
+        // Only new charts get the caller's insurance; matched charts keep what is on file
+        if (patientData.insurance) {
+            await queueInsuranceCreation(patientData, athenaPatientId, patientRef, correlationId);
+        }
+        
+        await appendTimelineEvent(firestore, correlationId, {
+            event: TIMELINE_EVENTS.CREATED,
+            source: 'patient-creator',
+            details: {athenaPatientId: athenaPatientId, matchedExisting: false}
+        }, {queueId: patientData.id, athenaPatientId});
+        
         // Publish to activity log
-        await pubsub.topic('patient-activity').publish(Buffer.from(JSON.stringify({
-            patientId: athenaPatientId,
-            lastName: patientData.lastName,
-            activityType: 'PATIENT_CREATED',
-            status: 'success',
-            callLength: patientData.callLength,
-            lastNodeId: patientData.lastNodeId,
-            patientRecordCreated: true,
-            bookedAppt: !!patientData.appointmentId
-        })));
-
+        await pubsub.topic('patient-activity').publishMessage({
+            data: Buffer.from(JSON.stringify({
+                patientId: athenaPatientId,
+                lastName: patientData.lastName,
+                activityType: 'PATIENT_CREATED',
+                status: 'success',
+                pathwayId: patientData.pathwayId || null,
+                callLength: patientData.callLength,
+                lastNodeId: patientData.lastNodeId,
+                patientRecordCreated: true,
+                bookedAppt: !!patientData.appointmentId
+            })),
+            attributes: correlationAttributes(correlationId)
+        });
+        
         return {
             success: true,
             patientId: athenaPatientId
         };
-        
+    
     } catch (error) {
-        console.error('Patient creation failed:', error.message);
+        const classification = classifyAthenaError(error);
+        console.error(`Patient creation failed (${classification}):`, error.message);
         if (error.response) {
             console.error('Response data:', error.response.data);
         }
         
+        // Release the claim unless Athena already has the patient, in which case
+        // make sure the ID is kept so a redelivery does not create it again
+        if (athenaPatientId) {
+            await patientRef.set({athenaPatientId}, {merge: true}).catch(console.error);
+        } else {
+            await patientRef.delete().catch(console.error);
+        }
+        
+        await appendTimelineEvent(firestore, correlationId, {
+            event: TIMELINE_EVENTS.FAILED,
+            source: 'patient-creator',
+            details: {stage: 'patient_creation', error: error.message, classification: classification}
+        }, {queueId: patientData.id, athenaPatientId});
+        
         // Log error
         await firestore.collection('errors').add({
             type: 'patient_creation',
+            queueId: patientData.id,
+            correlationId: correlationId,
             patientData: patientData,
             error: error.message,
+            classification: classification,
+            attempts: error.attempts || 1,
             details: error.response?.data || {},
             timestamp: new Date()
         });
@@ -309,9 +589,103 @@ exports.createAthenaPatient = async (message, context) => {
         await firestore.collection('patient_intake_queue').doc(patientData.id).update({
             status: 'error',
             error: error.message,
+            errorClassification: classification,
             errorAt: new Date()
         });
         
+        // Retrying a permanent failure cannot help: dead-letter it and ack the message
+        if (classification === ERROR_CLASS.PERMANENT) {
+            await publishDeadLetter(pubsub, {
+                functionName: 'patient-creator',
+                payload: patientData,
+                error
+            });
+            
+            // Only final failures count in the activity rollups; retried ones may still succeed
+            await pubsub.topic('patient-activity').publishMessage({
+                data: Buffer.from(JSON.stringify({
+                    activityType: 'PATIENT_CREATION_FAILED',
+                    status: 'failed',
+                    failureType: 'patient_creation',
+                    queueId: patientData.id,
+                    pathwayId: patientData.pathwayId || null
+                })),
+                attributes: correlationAttributes(correlationId)
+            }).catch(console.error);
+            return {success: false, deadLettered: true};
+        }
+        
+        // Transient and auth failures go back to Pub/Sub for redelivery
         throw error;
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Apply or reject sensitive demographic changes held for staff approval.
+ * Published to `demographic-approval` by staff tools as
+ * {queueId, decision: 'approved' | 'rejected', reviewedBy}.
+ */
+exports.applyDemographicApproval = async (message, context) => {
+    const data = JSON.parse(Buffer.from(message.data, 'base64').toString());
+    const reviewRef = firestore.collection('staff_reviews').doc(`${data.queueId}_demographics`);
+    
+    const reviewDoc = await reviewRef.get();
+    if (!reviewDoc.exists || reviewDoc.data().status !== 'open') {
+        console.log(`No open demographic review for intake ${data.queueId} - skipping`);
+        return {success: true, duplicate: true};
+    }
+    
+    const review = reviewDoc.data();
+    const approved = data.decision === 'approved';
+    console.log(`Demographic changes for patient ${review.athenaPatientId} ${approved ? 'approved' : 'rejected'} by ${data.reviewedBy}`);
+    
+    try {
+        if (approved) {
+            const fields = Object.fromEntries(review.changes.map(change => [change.field, change.to]));
+            await athena.updatePatient(review.athenaPatientId, fields, {practiceId: review.practiceId});
+        }
+        
+        const batch = firestore.batch();
+        for (const change of review.changes) {
+            batch.update(firestore.collection('demographic_audit').doc(`${data.queueId}_${change.field}`), {
+                status: approved ? 'applied' : 'rejected',
+                reviewedBy: data.reviewedBy || null,
+                reviewedAt: new Date()
+            });
+        }
+        batch.update(reviewRef, {
+            status: 'resolved',
+            decision: data.decision,
+            reviewedBy: data.reviewedBy || null,
+            resolvedAt: new Date()
+        });
+        await batch.commit();
+        
+        return {success: true, applied: approved};
+    
+    } catch (error) {
+        const classification = classifyAthenaError(error);
+        console.error(`Demographic approval failed (${classification}):`, error.message);
+        
+        await firestore.collection('errors').add({
+            type: 'demographic_update',
+            queueId: data.queueId,
+            patientId: review.athenaPatientId,
+            error: error.message,
+            classification: classification,
+            attempts: error.attempts || 1,
+            details: error.response?.data || {},
+            timestamp: new Date()
+        });
+        
+        if (classification === ERROR_CLASS.PERMANENT) {
+            await publishDeadLetter(pubsub, {
+                functionName: 'patient-creator',
+                payload: data,
+                error
+            });
+            return {success: false, deadLettered: true};
+        }
+        throw error;
+    }
+};
@@ -0,0 +1,142 @@
+/**
+ * Existing Patient Lookup for Gabar AI Athena Integration
+ * Called by Bland pathways mid-call so returning callers attach to their chart
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const {Firestore} = require('@google-cloud/firestore');
+const {SecretManagerServiceClient} = require('@google-cloud/secret-manager');
+const {KeyManagementServiceClient} = require('@google-cloud/kms');
+const {PubSub} = require('@google-cloud/pubsub');
+const crypto = require('crypto');
+const fs = require('fs');
+const {cleanPhone, formatDateForAthena} = require('gabar-shared/normalizers');
+const {MATCH_STATUS, findPatientMatch} = require('gabar-shared/patient-match');
+const {resolveRouting} = require('gabar-shared/routing');
+const {AthenaClient} = require('gabar-shared/athena-client');
+
+const firestore = new Firestore();
+const secretClient = new SecretManagerServiceClient();
+const kmsClient = new KeyManagementServiceClient();
+const pubsub = new PubSub();
+const athena = new AthenaClient({firestore, pubsub, secretClient, kmsClient});
+
+// Shared key Bland sends in the x-api-key header, loaded like the webhook secret
+const apiKeyPath = process.env.PATIENT_LOOKUP_API_KEY;
+const apiKey = apiKeyPath ? fs.readFileSync(apiKeyPath, 'utf8').trim() : undefined;
+
+// Bland waits only a few seconds for a tool response
+const ATHENA_TIMEOUT_MS = 4000;
+
+// A lookup result only has to outlive the call that asked for it
+const LOOKUP_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Without a configured key nobody is authorized
+function isAuthorized(req) {
+  if (!apiKey) return false;
+  const received = Buffer.from(String(req.headers['x-api-key'] || ''));
+  const expected = Buffer.from(apiKey);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Keep a confident match server-side and hand the pathway an opaque reference
+ * instead of the Athena patient ID. The webhook passes it on as
+ * `patient_match_id`, and patient-creator resolves and re-checks it.
+ */
+async function recordLookupMatch(match, criteria) {
+  const lookupRef = firestore.collection('patient_lookups').doc(crypto.randomUUID());
+  const now = new Date();
+  await lookupRef.set({
+    athenaPatientId: match.patientId,
+    firstName: criteria.firstName,
+    lastName: criteria.lastName,
+    dob: criteria.dob,
+    createdAt: now,
+    // Firestore TTL policy on expiresAt cleans these up
+    expiresAt: new Date(now.getTime() + LOOKUP_TTL_MS)
+  });
+  return lookupRef.id;
+}
+
+const SPOKEN_RESULTS = {
+  [MATCH_STATUS.MATCH]: 'I found your existing record.',
+  [MATCH_STATUS.AMBIGUOUS]: 'I found more than one possible record, so our staff will confirm your details.',
+  [MATCH_STATUS.NONE]: 'I did not find an existing record, so I will create a new one for you.'
+};
+
+functions.http('lookupPatient', async (req, res) => {
+  const startTime = Date.now();
+  
+  if (!apiKey) {
+    console.error('PATIENT_LOOKUP_API_KEY is not configured - rejecting patient lookup');
+    return res.status(500).json({success: false, error: 'Patient lookup is not configured'});
+  }
+  if (!isAuthorized(req)) {
+    console.error('Rejected patient lookup with invalid API key');
+    return res.status(401).json({success: false, error: 'Unauthorized'});
+  }
+  
+  const input = {...req.query, ...(req.body || {})};
+  
+  try {
+    const dob = formatDateForAthena(String(input.date_of_birth || ''));
+    if (!input.first_name || !input.last_name || !/^\d{2}\/\d{2}\/\d{4}$/.test(dob)) {
+      return res.status(400).json({
+        success: false,
+        error: 'first_name, last_name and an ISO date_of_birth are required'
+      });
+    }
+    
+    const routing = await resolveRouting(firestore, input.pathway_id, input);
+    
+    const criteria = {
+      firstName: String(input.first_name).trim(),
+      lastName: String(input.last_name).trim(),
+      dob,
+      phone: cleanPhone(String(input.phone || ''))
+    };
+    
+    // No retries here: Bland would hang up before a backoff finished
+    const match = await findPatientMatch(athena, criteria, {
+      practiceId: routing.practiceId,
+      departmentId: routing.departmentId,
+      retryAttempts: 0,
+      timeout: ATHENA_TIMEOUT_MS
+    });
+    
+    const responseTime = Date.now() - startTime;
+    console.log(`Patient lookup result: ${match.status} (${match.candidates.length} candidate(s)) in ${responseTime}ms`);
+    
+    // Only a confident match gets a reference; Athena IDs and candidates stay server-side
+    const patientMatchId = match.status === MATCH_STATUS.MATCH ? await recordLookupMatch(match, criteria) : null;
+    
+    res.status(200).json({
+      success: true,
+      status: match.status,
+      existingPatient: match.status === MATCH_STATUS.MATCH,
+      patientMatchId,
+      needsReview: match.status === MATCH_STATUS.AMBIGUOUS,
+      spokenSummary: SPOKEN_RESULTS[match.status],
+      responseTime
+    });
+  
+  } catch (error) {
+    console.error('Patient lookup failed:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+    
+    await firestore.collection('errors').add({
+      type: 'patient_lookup',
+      error: error.message,
+      details: error.response?.data || {},
+      timestamp: new Date()
+    }).catch(console.error);
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up patient'
+    });
+  }
+});
@@ -0,0 +1,121 @@
+/**
+ * Bundled address reference data for Gabar AI
+ * USPS Publication 28 abbreviations and ZIP prefix ranges, kept in the package
+ * so address checks never depend on an outside service
+ */
+
+// Street suffixes (full or common variant -> USPS abbreviation)
+const STREET_SUFFIXES = {
+    'alley': 'Aly', 'aly': 'Aly',
+    'avenue': 'Ave', 'av': 'Ave', 'ave': 'Ave', 'aven': 'Ave',
+    'boulevard': 'Blvd', 'blvd': 'Blvd', 'boul': 'Blvd',
+    'center': 'Ctr', 'ctr': 'Ctr',
+    'circle': 'Cir', 'cir': 'Cir', 'circ': 'Cir',
+    'court': 'Ct', 'ct': 'Ct',
+    'cove': 'Cv', 'cv': 'Cv',
+    'creek': 'Crk', 'crk': 'Crk',
+    'crossing': 'Xing', 'xing': 'Xing',
+    'drive': 'Dr', 'dr': 'Dr', 'drv': 'Dr',
+    'estates': 'Ests', 'ests': 'Ests',
+    'expressway': 'Expy', 'expy': 'Expy',
+    'freeway': 'Fwy', 'fwy': 'Fwy',
+    'glen': 'Gln', 'gln': 'Gln',
+    'grove': 'Grv', 'grv': 'Grv',
+    'heights': 'Hts', 'hts': 'Hts',
+    'highway': 'Hwy', 'hwy': 'Hwy',
+    'hill': 'Hl', 'hl': 'Hl',
+    'lane': 'Ln', 'ln': 'Ln',
+    'loop': 'Loop',
+    'meadows': 'Mdws', 'mdws': 'Mdws',
+    'parkway': 'Pkwy', 'pkwy': 'Pkwy', 'pky': 'Pkwy',
+    'path': 'Path',
+    'pike': 'Pike',
+    'place': 'Pl', 'pl': 'Pl',
+    'plaza': 'Plz', 'plz': 'Plz',
+    'point': 'Pt', 'pt': 'Pt',
+    'ridge': 'Rdg', 'rdg': 'Rdg',
+    'road': 'Rd', 'rd': 'Rd',
+    'run': 'Run',
+    'square': 'Sq', 'sq': 'Sq',
+    'street': 'St', 'st': 'St', 'str': 'St', 'strt': 'St',
+    'terrace': 'Ter', 'ter': 'Ter',
+    'trail': 'Trl', 'trl': 'Trl',
+    'view': 'Vw', 'vw': 'Vw',
+    'walk': 'Walk',
+    'way': 'Way'
+};
+
+const DIRECTIONALS = {
+    'north': 'N', 'n': 'N', 'south': 'S', 's': 'S', 'east': 'E', 'e': 'E', 'west': 'W', 'w': 'W',
+    'northeast': 'NE', 'ne': 'NE', 'northwest': 'NW', 'nw': 'NW',
+    'southeast': 'SE', 'se': 'SE', 'southwest': 'SW', 'sw': 'SW'
+};
+
+// Three-digit ZIP prefix ranges by state, DC and territory
+const ZIP_PREFIX_RANGES = [
+    [5, 5, 'NY'], [6, 7, 'PR'], [8, 8, 'VI'], [9, 9, 'PR'],
+    [10, 27, 'MA'], [28, 29, 'RI'], [30, 38, 'NH'], [39, 49, 'ME'],
+    [50, 54, 'VT'], [55, 55, 'MA'], [56, 59, 'VT'], [60, 69, 'CT'],
+    [70, 89, 'NJ'], [100, 149, 'NY'], [150, 196, 'PA'], [197, 199, 'DE'],
+    [200, 200, 'DC'], [201, 201, 'VA'], [202, 205, 'DC'], [206, 219, 'MD'],
+    [220, 246, 'VA'], [247, 268, 'WV'], [270, 289, 'NC'], [290, 299, 'SC'],
+    [300, 319, 'GA'], [320, 339, 'FL'], [341, 349, 'FL'], [350, 369, 'AL'],
+    [370, 385, 'TN'], [386, 397, 'MS'], [398, 399, 'GA'], [400, 427, 'KY'],
+    [430, 459, 'OH'], [460, 479, 'IN'], [480, 499, 'MI'], [500, 528, 'IA'],
+    [530, 549, 'WI'], [550, 567, 'MN'], [569, 569, 'DC'], [570, 577, 'SD'],
+    [580, 588, 'ND'], [590, 599, 'MT'], [600, 629, 'IL'], [630, 658, 'MO'],
+    [660, 679, 'KS'], [680, 693, 'NE'], [700, 714, 'LA'], [716, 729, 'AR'],
+    [730, 749, 'OK'], [750, 799, 'TX'], [800, 816, 'CO'], [820, 831, 'WY'],
+    [832, 838, 'ID'], [840, 847, 'UT'], [850, 865, 'AZ'], [870, 884, 'NM'],
+    [885, 885, 'TX'], [889, 898, 'NV'], [900, 961, 'CA'], [967, 968, 'HI'],
+    [970, 979, 'OR'], [980, 994, 'WA'], [995, 999, 'AK']
+];
+
+// Five-digit ranges inside the Pacific prefixes that belong to territories
+const ZIP_EXCEPTIONS = [
+    [96799, 96799, 'AS'], [96910, 96932, 'GU'], [96940, 96940, 'PW'],
+    [96941, 96944, 'FM'], [96950, 96952, 'MP'], [96960, 96960, 'MH'], [96970, 96970, 'MH']
+];
+
+// ZIP prefixes of the cities most of our callers live in, by state; cities not
+// listed here are left unverified rather than flagged
+const CITY_ZIP_PREFIXES = {
+    AZ: {'phoenix': ['850'], 'tucson': ['857'], 'mesa': ['852'], 'scottsdale': ['852']},
+    CA: {
+        'los angeles': ['900', '901'], 'san diego': ['919', '920', '921'], 'san jose': ['950', '951'],
+        'san francisco': ['941'], 'sacramento': ['942', '956', '957', '958'], 'fresno': ['936', '937']
+    },
+    CO: {'denver': ['802'], 'colorado springs': ['809']},
+    DC: {'washington': ['200', '202', '203', '204', '205']},
+    FL: {'jacksonville': ['322'], 'miami': ['331', '332'], 'tampa': ['335', '336'], 'orlando': ['327', '328']},
+    GA: {'atlanta': ['303', '311']},
+    IL: {'chicago': ['606', '607', '608']},
+    IN: {'indianapolis': ['462']},
+    KY: {'louisville': ['402']},
+    MA: {'boston': ['021', '022']},
+    MD: {'baltimore': ['212']},
+    MI: {'detroit': ['482']},
+    NC: {'charlotte': ['282'], 'raleigh': ['276']},
+    NM: {'albuquerque': ['871']},
+    NV: {'las vegas': ['889', '890', '891'], 'henderson': ['890'], 'north las vegas': ['890'], 'reno': ['894', '895']},
+    NY: {'new york': ['100', '101', '102'], 'brooklyn': ['112'], 'bronx': ['104']},
+    OH: {'columbus': ['430', '432'], 'cleveland': ['441'], 'cincinnati': ['452']},
+    OR: {'portland': ['972']},
+    PA: {'philadelphia': ['190', '191'], 'pittsburgh': ['152']},
+    TN: {'nashville': ['370', '372'], 'memphis': ['375', '381']},
+    TX: {
+        'houston': ['770', '772'], 'san antonio': ['782'], 'dallas': ['752', '753'],
+        'austin': ['733', '787'], 'fort worth': ['761'], 'el paso': ['799', '885']
+    },
+    UT: {'salt lake city': ['841']},
+    WA: {'seattle': ['981']},
+    WI: {'milwaukee': ['532']}
+};
+
+module.exports = {
+    STREET_SUFFIXES,
+    DIRECTIONALS,
+    ZIP_PREFIX_RANGES,
+    ZIP_EXCEPTIONS,
+    CITY_ZIP_PREFIXES
+};
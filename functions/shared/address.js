@@ -0,0 +1,205 @@
+/**
+ * Offline address standardization for Gabar AI
+ * Applies USPS abbreviations, splits apartment and unit numbers into address2,
+ * and checks the ZIP against the state and city using the bundled data in
+ * address-data.js. Every change is returned as a correction so it can be kept
+ * with the patient record.
+ */
+
+const {STATE_ABBREVIATIONS, buildStreetAddress, getStateAbbreviation} = require('./normalizers');
+const {UNIT_DESIGNATORS, parseSpokenUnit} = require('./spoken-input');
+const {
+    STREET_SUFFIXES,
+    DIRECTIONALS,
+    ZIP_PREFIX_RANGES,
+    ZIP_EXCEPTIONS,
+    CITY_ZIP_PREFIXES
+} = require('./address-data');
+
+const VALID_STATES = new Set(Object.values(STATE_ABBREVIATIONS));
+
+const CHECK = {
+    MATCH: 'match',
+    MISMATCH: 'mismatch',
+    UNVERIFIED: 'unverified'
+};
+
+// "number" and "no" read as part of a street name too often to split on
+const STREET_UNIT_DESIGNATORS = Object.keys(UNIT_DESIGNATORS).filter(word => word !== 'number' && word !== 'no');
+
+function bareToken(token) {
+    return token.toLowerCase().replace(/\.$/, '');
+}
+
+// Title-case words typed all upper or all lower case; leave "McDonald" alone
+function capitalize(word) {
+    if (/\d/.test(word)) return word.toLowerCase();
+    if (word !== word.toLowerCase() && word !== word.toUpperCase()) return word;
+    return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+// The state a ZIP code belongs to, or null when the bundled data does not know it
+function stateForZip(zip) {
+    if (!/^\d{5}$/.test(zip || '')) return null;
+    
+    const full = parseInt(zip, 10);
+    const exception = ZIP_EXCEPTIONS.find(([low, high]) => full >= low && full <= high);
+    if (exception) return exception[2];
+    
+    const prefix = parseInt(zip.slice(0, 3), 10);
+    const range = ZIP_PREFIX_RANGES.find(([low, high]) => prefix >= low && prefix <= high);
+    return range ? range[2] : null;
+}
+
+/**
+ * Split a trailing apartment or unit off a street line:
+ * "123 Main Street Apartment Four" -> {street: "123 Main Street", unit: "Apt 4"}
+ */
+function splitUnit(streetLine) {
+    const tokens = streetLine.split(/\s+/).filter(Boolean);
+    const index = tokens.findIndex((token, i) => i > 0 &&
+        (STREET_UNIT_DESIGNATORS.includes(bareToken(token)) || token.startsWith('#')));
+    if (index === -1) return {street: streetLine, unit: null};
+    
+    const unit = parseSpokenUnit(tokens.slice(index).join(' ')).value;
+    if (!unit) return {street: streetLine, unit: null};
+    return {street: tokens.slice(0, index).join(' '), unit};
+}
+
+// USPS abbreviations: the street suffix and any pre- or post-directional
+function abbreviateStreet(streetLine) {
+    const tokens = streetLine.split(/\s+/).filter(Boolean).map(capitalize);
+    if (tokens.length === 0) return '';
+    
+    const startsWithNumber = /^\d/.test(tokens[0]);
+    const first = startsWithNumber ? 1 : 0;
+    let last = tokens.length - 1;
+    
+    // Post-directional ("Main St NW") is only taken when a street name precedes it
+    if (last - first >= 2 && DIRECTIONALS[bareToken(tokens[last])]) {
+        tokens[last] = DIRECTIONALS[bareToken(tokens[last])];
+        last--;
+    }
+    
+    // Keep at least one word of street name before the suffix ("Court Street" -> "Court St")
+    if (last > first && STREET_SUFFIXES[bareToken(tokens[last])]) {
+        tokens[last] = STREET_SUFFIXES[bareToken(tokens[last])];
+        last--;
+    }
+    
+    // Pre-directional ("North Main St"), but not when it is the whole name ("North St")
+    if (last > first && DIRECTIONALS[bareToken(tokens[first])]) {
+        tokens[first] = DIRECTIONALS[bareToken(tokens[first])];
+    }
+    
+    return tokens.join(' ');
+}
+
+/**
+ * Standardize an intake address.
+ * Takes {houseNumber, street, unit, city, state, zip} as captured and returns
+ * {address1, address2, city, state, zip, corrections, issues, checks} where
+ * corrections are {field, from, to, reason}, issues are {field, code, message}
+ * and checks are {zipState, zipCity}, each match, mismatch or unverified.
+ */
+function standardizeAddress(input = {}) {
+    const corrections = [];
+    const issues = [];
+    const correct = (field, from, to, reason) => {
+        if ((from || null) !== (to || null)) {
+            corrections.push({field, from: from || null, to: to || null, reason});
+        }
+    };
+    
+    // Street line, with any unit said as part of it moved to address2
+    const rawStreet = buildStreetAddress(input.houseNumber, input.street);
+    const split = splitUnit(rawStreet);
+    const address1 = abbreviateStreet(split.street);
+    correct('address1', rawStreet, address1, split.unit ? 'unit_split_and_usps_abbreviation' : 'usps_abbreviation');
+    
+    let address2 = input.unit || null;
+    if (split.unit) {
+        if (address2 && address2 !== split.unit) {
+            issues.push({field: 'address2', code: 'conflicting_unit', message: `Street names unit ${split.unit} but unit field is ${address2}`});
+        } else {
+            correct('address2', address2, split.unit, 'unit_split_from_street');
+            address2 = split.unit;
+        }
+    }
+    
+    // A ZIP said together with the state ("89101, California") is pulled out
+    let rawState = input.state ? String(input.state).trim() : '';
+    let zip = input.zip ? String(input.zip).trim() : '';
+    const embeddedZip = rawState.match(/\b(\d{5})(-\d{4})?\b/);
+    if (embeddedZip) {
+        const stateOnly = rawState.replace(embeddedZip[0], '').replace(/^[\s,]+|[\s,]+$/g, '');
+        if (!zip) {
+            correct('zip', zip, embeddedZip[1], 'zip_from_state');
+            zip = embeddedZip[1];
+        }
+        correct('state', rawState, stateOnly, 'zip_removed_from_state');
+        rawState = stateOnly;
+    }
+    
+    const zipMatch = zip.replace(/\s/g, '').match(/^(\d{5})(-?\d{4})?$/);
+    if (zip && !zipMatch) {
+        issues.push({field: 'zip', code: 'invalid_zip', message: `ZIP code ${zip} is not a 5-digit ZIP`});
+        correct('zip', zip, null, 'invalid_zip');
+        zip = null;
+    } else if (zipMatch) {
+        correct('zip', zip, zipMatch[1], 'zip_plus_four_removed');
+        zip = zipMatch[1];
+    }
+    
+    // Unknown state names never reach Athena; the ZIP may still supply one
+    let state = rawState ? getStateAbbreviation(rawState) : null;
+    if (state && !VALID_STATES.has(state)) {
+        issues.push({field: 'state', code: 'unknown_state', message: `"${rawState}" is not a recognized state or territory`});
+        correct('state', rawState, null, 'unknown_state');
+        state = null;
+    } else {
+        correct('state', rawState, state, 'state_abbreviation');
+    }
+    
+    const zipState = stateForZip(zip);
+    const checks = {zipState: CHECK.UNVERIFIED, zipCity: CHECK.UNVERIFIED};
+    if (zipState && !state) {
+        correct('state', null, zipState, 'state_from_zip');
+        state = zipState;
+        checks.zipState = CHECK.MATCH;
+    } else if (zipState && state) {
+        checks.zipState = zipState === state ? CHECK.MATCH : CHECK.MISMATCH;
+        if (zipState !== state) {
+            issues.push({field: 'zip', code: 'zip_state_mismatch', message: `ZIP ${zip} belongs to ${zipState}, not ${state}`});
+        }
+    }
+    
+    const rawCity = input.city ? String(input.city).replace(/"/g, '').trim() : '';
+    const city = rawCity ? rawCity.split(/\s+/).map(capitalize).join(' ') : null;
+    correct('city', rawCity, city, 'capitalization');
+    
+    const cityPrefixes = state && city ? CITY_ZIP_PREFIXES[state]?.[city.toLowerCase()] : null;
+    if (cityPrefixes && zip) {
+        checks.zipCity = cityPrefixes.includes(zip.slice(0, 3)) ? CHECK.MATCH : CHECK.MISMATCH;
+        if (checks.zipCity === CHECK.MISMATCH) {
+            issues.push({field: 'city', code: 'zip_city_mismatch', message: `ZIP ${zip} is not a ${city}, ${state} ZIP`});
+        }
+    }
+    
+    return {
+        address1,
+        address2,
+        city,
+        state,
+        zip: zip || null,
+        corrections,
+        issues,
+        checks
+    };
+}
+
+module.exports = {
+    CHECK,
+    stateForZip,
+    standardizeAddress
+};
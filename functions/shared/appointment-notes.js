@@ -0,0 +1,49 @@
+/**
+ * Appointment notes for Gabar AI
+ * Turns the caller's visit reason and the voice agent's call summary into a
+ * short plain-text note providers see on the schedule
+ */
+
+// Athena shows the note on the schedule; keep it readable at a glance
+const MAX_NOTE_LENGTH = 500;
+const MAX_REASON_LENGTH = 150;
+
+// Plain text on one line: no markup, control characters or runs of whitespace
+function sanitizeNoteText(value) {
+    return String(value || '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/[<>]/g, ' ')
+        .replace(/[\u0000-\u001f\u007f]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Cut at a word boundary and mark the cut
+function truncate(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    const cut = text.slice(0, maxLength - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+}
+
+/**
+ * Note text for the appointment, or null when there is nothing to say.
+ * The visit reason comes first so it survives the length limit.
+ */
+function buildAppointmentNote({visitReason, callSummary}) {
+    const reason = truncate(sanitizeNoteText(visitReason), MAX_REASON_LENGTH);
+    const summary = sanitizeNoteText(callSummary);
+    
+    const parts = [];
+    if (reason) parts.push(`Reason for visit: ${reason}`);
+    if (summary) parts.push(`Call summary: ${summary}`);
+    if (!parts.length) return null;
+    
+    return truncate(parts.join(' | '), MAX_NOTE_LENGTH);
+}
+
+module.exports = {
+    MAX_NOTE_LENGTH,
+    sanitizeNoteText,
+    buildAppointmentNote
+};
@@ -0,0 +1,282 @@
+/**
+ * Shared AthenaHealth API client for Gabar AI
+ * Caches the practice secrets in memory, refreshes the token when it is near
+ * expiry or Athena answers 401, form-encodes payloads, times every request and
+ * retries transient failures according to configuration/settings
+ */
+
+const axios = require('axios');
+const {loadSettings} = require('./settings');
+const {resolveAthenaEnvironment} = require('./athena-environments');
+const {ERROR_CLASS, withAthenaRetry} = require('./athena-errors');
+const {forceTokenRefresh} = require('./token-refresh');
+const {TokenStore} = require('./token-store');
+
+const DEFAULT_PROJECT_ID = 'gabar-ai-athena-integration';
+
+// Refresh a token this close to its expiry instead of sending it
+const TOKEN_REFRESH_MARGIN_MS = 2 * 60 * 1000;
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// A timeout or 5xx can arrive after Athena already committed a write, so
+// chart, insurance, booking, note, cancel and reschedule writes are never
+// retried in place. The caller's Pub/Sub redelivery re-checks first
+// (best-match, slot status, the chart's insurances).
+const NO_RETRY = {retryAttempts: 0};
+
+// Build an x-www-form-urlencoded body, leaving out empty values
+function encodeForm(fields) {
+    const form = new URLSearchParams();
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined && value !== null && value !== '') {
+            form.append(key, String(value));
+        }
+    }
+    return form.toString();
+}
+
+function toMillis(value) {
+    if (!value) return 0;
+    if (value.toMillis) return value.toMillis();
+    return new Date(value).getTime();
+}
+
+class AthenaClient {
+    /**
+     * @param {object} deps {firestore, pubsub, secretClient, kmsClient, projectId, timeoutMs}
+     * kmsClient unwraps the stored token's key when TOKEN_KMS_KEY is set
+     */
+    constructor({firestore, pubsub, secretClient, kmsClient, projectId = DEFAULT_PROJECT_ID, timeoutMs = DEFAULT_TIMEOUT_MS}) {
+        this.firestore = firestore;
+        this.pubsub = pubsub;
+        this.secretClient = secretClient;
+        this.tokenStore = new TokenStore({firestore, kmsClient});
+        this.projectId = projectId;
+        this.timeoutMs = timeoutMs;
+        this.configPromise = null;
+        this.token = null;
+    }
+    
+    async readSecret(name) {
+        const [version] = await this.secretClient.accessSecretVersion({
+            name: `projects/${this.projectId}/secrets/${name}/versions/latest`
+        });
+        return version.payload.data.toString();
+    }
+    
+    // Practice secrets do not change between invocations, so keep them for the instance lifetime.
+    // The athena-base-url secret is the production host; preview always uses Athena's preview host.
+    getConfig() {
+        if (!this.configPromise) {
+            this.configPromise = Promise.all([
+                this.readSecret('athena-practice-id'),
+                this.readSecret('athena-department-id'),
+                this.readSecret('athena-base-url'),
+                loadSettings(this.firestore)
+            ]).then(([practiceId, departmentId, baseUrl, settings]) => {
+                const environment = resolveAthenaEnvironment(settings);
+                return {
+                    practiceId,
+                    departmentId,
+                    baseUrl: environment.name === 'production' ? baseUrl : environment.baseUrl,
+                    environment: environment.name
+                };
+            })
+                .catch(error => {
+                    this.configPromise = null;
+                    throw error;
+                });
+        }
+        return this.configPromise;
+    }
+    
+    isFresh(token) {
+        return token && toMillis(token.expiresAt) - Date.now() > TOKEN_REFRESH_MARGIN_MS;
+    }
+    
+    async getToken() {
+        if (this.isFresh(this.token)) {
+            return this.token;
+        }
+        
+        let token = await this.tokenStore.read();
+        
+        if (!this.isFresh(token)) {
+            console.log('🔑 Athena token missing or near expiry - requesting refresh');
+            token = await this.refreshToken('near_expiry');
+        }
+        
+        this.token = token;
+        return token;
+    }
+    
+    async refreshToken(reason = 'auth_error') {
+        this.token = null;
+        const token = await forceTokenRefresh(this.firestore, this.pubsub, {reason, tokenStore: this.tokenStore});
+        if (!token || !token.token) {
+            const error = new Error('Token refresh did not produce a token');
+            error.classification = ERROR_CLASS.AUTH;
+            throw error;
+        }
+        this.token = token;
+        return token;
+    }
+    
+    /**
+     * Send one request to Athena.
+     * options: {params, form, practiceId, timeout, label, retryAttempts, retryDelayMs}
+     * `retryAttempts: 0` disables transient retries (for latency-bound callers
+     * and for writes that must not repeat; see NO_RETRY).
+     */
+    async request(method, path, options = {}) {
+        const [config, settings] = await Promise.all([this.getConfig(), loadSettings(this.firestore)]);
+        const practiceId = options.practiceId || config.practiceId;
+        const url = `${config.baseUrl}/v1/${practiceId}${path}`;
+        const label = options.label || `${method} ${path}`;
+        
+        return withAthenaRetry(async () => {
+            const token = await this.getToken();
+            const headers = {'Authorization': `${token.type} ${token.token}`};
+            if (options.form) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+            
+            const startTime = Date.now();
+            try {
+                const response = await axios.request({
+                    method,
+                    url,
+                    params: options.params,
+                    data: options.form ? encodeForm(options.form) : undefined,
+                    timeout: options.timeout || this.timeoutMs,
+                    headers
+                });
+                console.log(`Athena ${label} → ${response.status} in ${Date.now() - startTime}ms`);
+                return response.data;
+            } catch (error) {
+                console.log(`Athena ${label} → ${error.response?.status || error.code} in ${Date.now() - startTime}ms`);
+                throw error;
+            }
+        }, {
+            retryAttempts: options.retryAttempts ?? settings.retryAttempts,
+            retryDelayMs: options.retryDelayMs ?? settings.retryDelayMs,
+            onAuthError: () => this.refreshToken('auth_error'),
+            label: `Athena ${label}`
+        });
+    }
+    
+    /**
+     * Create a patient. `fields` uses Athena's form names (firstname, dob, ...).
+     * Returns the new patient ID.
+     */
+    async createPatient(fields, options = {}) {
+        const data = await this.request('POST', '/patients', {...options, ...NO_RETRY, form: fields, label: 'create patient'});
+        return String(Array.isArray(data) ? data[0].patientid : data.patientid);
+    }
+    
+    // Current demographics for one patient, with Athena's field names
+    async getPatient(patientId, options = {}) {
+        const data = await this.request('GET', `/patients/${patientId}`, {...options, label: 'get patient'});
+        return Array.isArray(data) ? data[0] : data;
+    }
+    
+    /**
+     * Update a patient's demographics. Only the fields given are changed.
+     */
+    async updatePatient(patientId, fields, options = {}) {
+        return this.request('PUT', `/patients/${patientId}`, {...options, form: fields, label: 'update patient'});
+    }
+    
+    /**
+     * Add an insurance package to a patient's chart. `fields` uses Athena's
+     * form names (insurancepackageid, insuranceidnumber, ...).
+     * Returns Athena's new insurance record.
+     */
+    async createPatientInsurance(patientId, fields, options = {}) {
+        const data = await this.request('POST', `/patients/${patientId}/insurances`, {...options, ...NO_RETRY, form: fields, label: 'create insurance'});
+        return Array.isArray(data) ? data[0] : data;
+    }
+    
+    // Insurance packages already on a patient's chart
+    async getPatientInsurances(patientId, options = {}) {
+        const data = await this.request('GET', `/patients/${patientId}/insurances`, {...options, label: 'get insurances'});
+        return Array.isArray(data) ? data : (data.insurances || []);
+    }
+    
+    // Best-match patient search; returns Athena's candidate list
+    async findBestMatch(params, options = {}) {
+        const data = await this.request('GET', '/patients/bestmatch', {...options, params, label: 'patient best match'});
+        return Array.isArray(data) ? data : (data.patients || []);
+    }
+    
+    // One appointment or open slot; appointmentstatus "o" means it is still open
+    async getAppointment(appointmentId, options = {}) {
+        const data = await this.request('GET', `/appointments/${appointmentId}`, {...options, label: 'get appointment'});
+        return Array.isArray(data) ? data[0] : data;
+    }
+    
+    // Book an open slot for a patient; returns Athena's confirmation
+    async bookAppointment(appointmentId, fields, options = {}) {
+        return this.request('PUT', `/appointments/${appointmentId}`, {...options, ...NO_RETRY, form: fields, label: 'book appointment'});
+    }
+    
+    // Add a note to an appointment, shown on the schedule
+    async addAppointmentNote(appointmentId, noteText, options = {}) {
+        return this.request('POST', `/appointments/${appointmentId}/notes`, {
+            ...options,
+            ...NO_RETRY,
+            form: {notetext: noteText, displayonschedule: 'true'},
+            label: 'add appointment note'
+        });
+    }
+    
+    /**
+     * Cancel a booked appointment. `fields` needs patientid and
+     * appointmentcancelreasonid; cancellationreason is free text.
+     */
+    async cancelAppointment(appointmentId, fields, options = {}) {
+        return this.request('PUT', `/appointments/${appointmentId}/cancel`, {...options, ...NO_RETRY, form: fields, label: 'cancel appointment'});
+    }
+    
+    /**
+     * Move a booked appointment into another open slot (`newappointmentid`).
+     * Returns the appointment as booked in the new slot.
+     */
+    async rescheduleAppointment(appointmentId, fields, options = {}) {
+        const data = await this.request('PUT', `/appointments/${appointmentId}/reschedule`, {...options, ...NO_RETRY, form: fields, label: 'reschedule appointment'});
+        return Array.isArray(data) ? data[0] : data;
+    }
+    
+    /**
+     * Open appointment slots.
+     * query: {departmentId, appointmentTypeId, providerId, startDate, endDate} with MM/DD/YYYY dates
+     */
+    async getOpenSlots(query, options = {}) {
+        const config = await this.getConfig();
+        const departmentId = query.departmentId || config.departmentId;
+        const params = {
+            departmentid: departmentId,
+            appointmenttypeid: query.appointmentTypeId,
+            startdate: query.startDate,
+            enddate: query.endDate,
+            limit: query.limit || 100
+        };
+        if (query.providerId) params.providerid = query.providerId;
+        
+        const data = await this.request('GET', '/appointments/open', {...options, params, label: 'open slots'});
+        return (data.appointments || []).map(slot => ({
+            appointmentId: String(slot.appointmentid),
+            appointmentTypeId: String(slot.appointmenttypeid || query.appointmentTypeId),
+            appointmentType: slot.appointmenttype || null,
+            providerId: slot.providerid ? String(slot.providerid) : null,
+            departmentId: String(slot.departmentid || departmentId),
+            date: slot.date,
+            startTime: slot.starttime,
+            duration: slot.duration || null
+        }));
+    }
+}
+
+module.exports = {
+    AthenaClient,
+    encodeForm
+};
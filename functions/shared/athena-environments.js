@@ -0,0 +1,53 @@
+/**
+ * Athena environments for Gabar AI
+ * Which Athena the integration talks to is chosen by `environment` in
+ * configuration/settings; each environment has its own API host and OAuth
+ * client (production uses the athena-client-* secrets, preview athena-preview-client-*)
+ */
+
+const ATHENA_ENVIRONMENTS = {
+    production: {
+        baseUrl: 'https://api.platform.athenahealth.com',
+        secretPrefix: 'athena'
+    },
+    preview: {
+        baseUrl: 'https://api.preview.platform.athenahealth.com',
+        secretPrefix: 'athena-preview'
+    }
+};
+
+const TOKEN_PATH = '/oauth2/v1/token';
+
+// Scope requested when configuration/settings does not name one
+const DEFAULT_SCOPE = 'athena/service/Athenanet.MDP.*';
+
+/**
+ * Environment settings for a configuration/settings document.
+ * Returns {name, baseUrl, tokenUrl, clientIdSecret, clientSecretSecret, scope}.
+ */
+function resolveAthenaEnvironment(settings = {}) {
+    const name = settings.environment || 'production';
+    const environment = ATHENA_ENVIRONMENTS[name];
+    if (!environment) {
+        throw new Error(`Unknown Athena environment "${name}" (expected ${Object.keys(ATHENA_ENVIRONMENTS).join(' or ')})`);
+    }
+    
+    // Scopes may be configured as a list or as Athena's space-separated string
+    const scope = Array.isArray(settings.athenaScope)
+        ? settings.athenaScope.join(' ')
+        : (settings.athenaScope || DEFAULT_SCOPE);
+    
+    return {
+        name,
+        baseUrl: environment.baseUrl,
+        tokenUrl: `${environment.baseUrl}${TOKEN_PATH}`,
+        clientIdSecret: `${environment.secretPrefix}-client-id`,
+        clientSecretSecret: `${environment.secretPrefix}-client-secret`,
+        scope
+    };
+}
+
+module.exports = {
+    ATHENA_ENVIRONMENTS,
+    resolveAthenaEnvironment
+};
@@ -0,0 +1,121 @@
+/**
+ * Athena error handling for Gabar AI
+ * Sorts failures into permanent, transient and auth errors, retries the
+ * transient ones with exponential backoff and jitter, and dead-letters the
+ * permanent ones with enough context to replay them by hand
+ */
+
+const ERROR_CLASS = {
+    PERMANENT: 'permanent',
+    TRANSIENT: 'transient',
+    AUTH: 'auth'
+};
+
+// Client-error statuses worth retrying: timeouts and rate limits (all 5xx are retried too)
+const TRANSIENT_STATUSES = [408, 425, 429];
+
+// Network-level failures where the request may never have reached Athena
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+// gRPC codes from Firestore, Pub/Sub and Secret Manager that clear up on their own
+const TRANSIENT_GRPC_CODES = [4, 8, 10, 13, 14]; // DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, INTERNAL, UNAVAILABLE
+
+function classifyAthenaError(error) {
+    // Callers can pre-classify errors they raise themselves
+    if (error.classification) return error.classification;
+    
+    const status = error.response?.status;
+    
+    if (status === 401) return ERROR_CLASS.AUTH;
+    if (status) {
+        return TRANSIENT_STATUSES.includes(status) || status >= 500
+            ? ERROR_CLASS.TRANSIENT
+            : ERROR_CLASS.PERMANENT;
+    }
+    if (TRANSIENT_NETWORK_CODES.includes(error.code) || TRANSIENT_GRPC_CODES.includes(error.code)) {
+        return ERROR_CLASS.TRANSIENT;
+    }
+    
+    // Anything else is our own validation or a programming error; retrying will not help
+    return ERROR_CLASS.PERMANENT;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with jitter, stretched to any Retry-After Athena sent
+function backoffDelay(attempt, baseDelayMs, error) {
+    const exponential = baseDelayMs * Math.pow(2, attempt - 1);
+    const jittered = exponential / 2 + Math.random() * exponential / 2;
+    const retryAfterSeconds = parseInt(error.response?.headers?.['retry-after'], 10);
+    return Math.max(jittered, isNaN(retryAfterSeconds) ? 0 : retryAfterSeconds * 1000);
+}
+
+/**
+ * Run an Athena operation with classified retries.
+ * Transient failures are retried up to `retryAttempts` times; an auth failure
+ * calls `onAuthError` (a token refresh) and retries once. The final error is
+ * rethrown with `classification` and `attempts` set on it.
+ */
+async function withAthenaRetry(operation, options = {}) {
+    const retryAttempts = options.retryAttempts ?? 3;
+    const retryDelayMs = options.retryDelayMs ?? 2000;
+    const label = options.label || 'Athena call';
+    let authRetried = false;
+    let attempt = 0;
+    
+    for (;;) {
+        attempt++;
+        try {
+            return await operation();
+        } catch (error) {
+            const classification = classifyAthenaError(error);
+            error.classification = classification;
+            error.attempts = attempt;
+            
+            if (classification === ERROR_CLASS.AUTH && !authRetried && options.onAuthError) {
+                authRetried = true;
+                console.warn(`${label} was rejected as unauthorized - refreshing token and retrying once`);
+                await options.onAuthError();
+                continue;
+            }
+            
+            if (classification === ERROR_CLASS.TRANSIENT && attempt <= retryAttempts) {
+                const delay = backoffDelay(attempt, retryDelayMs, error);
+                console.warn(`${label} failed transiently (${error.response?.status || error.code}), retry ${attempt}/${retryAttempts} in ${Math.round(delay)}ms`);
+                await sleep(delay);
+                continue;
+            }
+            
+            throw error;
+        }
+    }
+}
+
+/**
+ * Publish a message that can never succeed to the dead-letter topic, with the
+ * original payload and Athena's response so staff can fix and replay it
+ */
+async function publishDeadLetter(pubsub, {functionName, payload, error}) {
+    const message = {
+        function: functionName,
+        classification: error.classification || classifyAthenaError(error),
+        error: error.message,
+        status: error.response?.status || null,
+        details: error.response?.data || {},
+        attempts: error.attempts || 1,
+        payload: payload,
+        timestamp: new Date().toISOString()
+    };
+    return pubsub.topic('dead-letter-queue').publishMessage({
+        data: Buffer.from(JSON.stringify(message))
+    });
+}
+
+module.exports = {
+    ERROR_CLASS,
+    classifyAthenaError,
+    withAthenaRetry,
+    publishDeadLetter
+};
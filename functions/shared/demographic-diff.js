@@ -0,0 +1,72 @@
+/**
+ * Demographic diff for Gabar AI
+ * Compares what a returning caller told us with the demographics already on
+ * their Athena chart, so only fields that really changed are sent back
+ */
+
+const {cleanPhone} = require('./normalizers');
+
+/**
+ * Athena patient fields the intake can update. Sensitive fields identify the
+ * patient, so a change to them is held for staff approval instead of applied.
+ */
+const DEMOGRAPHIC_FIELDS = {
+    firstname: {sensitive: true, compare: 'text'},
+    lastname: {sensitive: true, compare: 'text'},
+    dob: {sensitive: true, compare: 'date'},
+    sex: {sensitive: true, compare: 'text'},
+    email: {sensitive: false, compare: 'text'},
+    mobilephone: {sensitive: false, compare: 'phone'},
+    address1: {sensitive: false, compare: 'text'},
+    address2: {sensitive: false, compare: 'text'},
+    city: {sensitive: false, compare: 'text'},
+    state: {sensitive: false, compare: 'text'},
+    zip: {sensitive: false, compare: 'zip'}
+};
+
+// Comparable form of a value, so "(702) 555-1234" equals "7025551234"
+function comparable(value, compare) {
+    if (value === undefined || value === null) return '';
+    const text = String(value).trim();
+    switch (compare) {
+        case 'phone':
+            return cleanPhone(text) || text.replace(/\D/g, '');
+        case 'zip':
+            return text.replace(/\D/g, '').substring(0, 5);
+        case 'date': {
+            // Athena returns MM/DD/YYYY; leading zeros are not always there
+            const parts = text.split('/').map(part => parseInt(part, 10));
+            return parts.length === 3 ? parts.join('/') : text;
+        }
+        default:
+            return text.toLowerCase().replace(/[.,]/g, '').replace(/\s+/g, ' ');
+    }
+}
+
+/**
+ * Fields where the intake differs from the chart.
+ * `proposed` uses Athena's field names; fields the caller did not give are
+ * never cleared on the chart.
+ * Returns [{field, from, to, sensitive}].
+ */
+function diffDemographics(current, proposed) {
+    const changes = [];
+    
+    for (const [field, rule] of Object.entries(DEMOGRAPHIC_FIELDS)) {
+        const to = proposed[field];
+        if (to === undefined || to === null || to === '') continue;
+        
+        const from = current[field] === undefined ? null : current[field];
+        if (comparable(from, rule.compare) === comparable(to, rule.compare)) continue;
+        
+        // Filling in a blank field is not a change of identity
+        const sensitive = rule.sensitive && comparable(from, rule.compare) !== '';
+        changes.push({field, from, to, sensitive});
+    }
+    return changes;
+}
+
+module.exports = {
+    DEMOGRAPHIC_FIELDS,
+    diffDemographics
+};
@@ -0,0 +1,123 @@
+/**
+ * Extended demographics for Gabar AI
+ * Preferred language, contact preference, emergency contact and guarantor
+ * values as callers say them, mapped to the codes Athena's patient API expects
+ */
+
+// Patients younger than this need a guarantor on the chart
+const ADULT_AGE = 18;
+
+// Spoken language -> ISO 639-2 code (Athena's language6392code)
+const LANGUAGE_CODES = {
+    'english': 'eng', 'spanish': 'spa', 'espanol': 'spa', 'español': 'spa',
+    'chinese': 'chi', 'mandarin': 'chi', 'cantonese': 'chi',
+    'vietnamese': 'vie', 'tagalog': 'tgl', 'filipino': 'fil', 'korean': 'kor',
+    'arabic': 'ara', 'russian': 'rus', 'french': 'fre', 'portuguese': 'por',
+    'german': 'ger', 'haitian creole': 'hat', 'creole': 'hat', 'hindi': 'hin',
+    'japanese': 'jpn', 'polish': 'pol', 'italian': 'ita', 'persian': 'per',
+    'farsi': 'per', 'armenian': 'arm', 'amharic': 'amh', 'somali': 'som',
+    'american sign language': 'sgn', 'sign language': 'sgn', 'asl': 'sgn'
+};
+
+/**
+ * How the patient wants to be reached. `athena` is the contactpreference value;
+ * texting also records consent to text.
+ */
+const CONTACT_PREFERENCES = {
+    text: {athena: 'MOBILEPHONE', consentToText: true},
+    call: {athena: 'MOBILEPHONE', consentToText: false},
+    email: {athena: 'EMAIL', consentToText: false},
+    mail: {athena: 'MAIL', consentToText: false}
+};
+
+const CONTACT_PREFERENCE_WORDS = {
+    'text': 'text', 'texting': 'text', 'text message': 'text', 'sms': 'text', 'message': 'text',
+    'call': 'call', 'phone': 'call', 'phone call': 'call', 'calling': 'call', 'cell': 'call',
+    'email': 'email', 'e mail': 'email',
+    'mail': 'mail', 'letter': 'mail', 'post': 'mail', 'regular mail': 'mail'
+};
+
+// Emergency contact relationship -> Athena contactrelationship
+const CONTACT_RELATIONSHIPS = {
+    'spouse': 'SPOUSE', 'wife': 'SPOUSE', 'husband': 'SPOUSE',
+    'parent': 'PARENT', 'mother': 'PARENT', 'mom': 'PARENT', 'father': 'PARENT', 'dad': 'PARENT',
+    'child': 'CHILD', 'son': 'CHILD', 'daughter': 'CHILD',
+    'sibling': 'SIBLING', 'brother': 'SIBLING', 'sister': 'SIBLING',
+    'friend': 'FRIEND', 'partner': 'PARTNER', 'boyfriend': 'PARTNER', 'girlfriend': 'PARTNER',
+    'guardian': 'GUARDIAN', 'legal guardian': 'GUARDIAN',
+    'grandparent': 'GRANDPARENT', 'grandmother': 'GRANDPARENT', 'grandfather': 'GRANDPARENT',
+    'grandma': 'GRANDPARENT', 'grandpa': 'GRANDPARENT',
+    'other': 'OTHER'
+};
+
+// Guarantor relationship -> canonical value and Athena guarantorrelationshiptopatient
+const GUARANTOR_RELATIONSHIPS = {
+    'self': 'self', 'me': 'self', 'myself': 'self',
+    'spouse': 'spouse', 'wife': 'spouse', 'husband': 'spouse',
+    'mother': 'mother', 'mom': 'mother',
+    'father': 'father', 'dad': 'father',
+    'grandparent': 'grandparent', 'grandmother': 'grandparent', 'grandfather': 'grandparent',
+    'guardian': 'other', 'legal guardian': 'other', 'other': 'other'
+};
+
+const GUARANTOR_RELATIONSHIP_IDS = {
+    self: 1,
+    spouse: 2,
+    other: 4,
+    grandparent: 5,
+    mother: 18,
+    father: 19
+};
+
+// Lower-case words without punctuation or "my"/"the"
+function cleanWords(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/[^a-zñ\s]/g, ' ')
+        .replace(/\b(my|the|is|by|via|prefer|preferred|please)\b/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function normalizeLanguage(value) {
+    const cleaned = cleanWords(value);
+    if (/^[a-z]{3}$/.test(cleaned) && Object.values(LANGUAGE_CODES).includes(cleaned)) return cleaned;
+    return LANGUAGE_CODES[cleaned] || null;
+}
+
+function normalizeContactPreference(value) {
+    return CONTACT_PREFERENCE_WORDS[cleanWords(value)] || null;
+}
+
+function normalizeContactRelationship(value) {
+    return CONTACT_RELATIONSHIPS[cleanWords(value)] || null;
+}
+
+function normalizeGuarantorRelationship(value) {
+    return GUARANTOR_RELATIONSHIPS[cleanWords(value)] || null;
+}
+
+// Whole years between an ISO date of birth and today
+function ageOn(isoDob, today = new Date()) {
+    const [year, month, day] = isoDob.split('-').map(p => parseInt(p, 10));
+    let age = today.getUTCFullYear() - year;
+    const beforeBirthday = today.getUTCMonth() + 1 < month ||
+        (today.getUTCMonth() + 1 === month && today.getUTCDate() < day);
+    if (beforeBirthday) age--;
+    return age;
+}
+
+function isMinor(isoDob, today) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(isoDob || '') && ageOn(isoDob, today) < ADULT_AGE;
+}
+
+module.exports = {
+    ADULT_AGE,
+    CONTACT_PREFERENCES,
+    GUARANTOR_RELATIONSHIP_IDS,
+    normalizeLanguage,
+    normalizeContactPreference,
+    normalizeContactRelationship,
+    normalizeGuarantorRelationship,
+    isMinor
+};
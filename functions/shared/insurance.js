@@ -0,0 +1,160 @@
+/**
+ * Insurance helpers for Gabar AI
+ * Matches the payer name a caller says against the practice's payer list and
+ * maps the policy holder relationship onto Athena's relationship codes
+ *
+ * configuration/insurance_payers:
+ *   payers: [{insurancePackageId, name, aliases: ['bcbs', 'blue cross']}]
+ */
+
+const {MATCH_STATUS} = require('./patient-match');
+
+// Token overlap a payer needs to be taken without staff review
+const PAYER_MATCH_THRESHOLD = 0.6;
+// Below this a payer is not even offered to staff as a candidate
+const PAYER_CANDIDATE_THRESHOLD = 0.3;
+// How far ahead of the runner-up the best payer must be
+const PAYER_MATCH_MARGIN = 0.2;
+
+// Words that say nothing about which payer was meant
+const PAYER_STOP_WORDS = new Set([
+    'insurance', 'health', 'healthcare', 'plan', 'plans', 'company', 'co', 'inc',
+    'the', 'of', 'and', 'my', 'is', 'it', 'its', 'i', 'have'
+]);
+
+/**
+ * Who holds the policy, from the patient's point of view, as callers answer
+ * "who is the policy holder?" ("me", "my husband", "my mom")
+ */
+const POLICY_HOLDERS = {
+    'self': 'self', 'me': 'self', 'myself': 'self', 'patient': 'self', 'i do': 'self',
+    'spouse': 'spouse', 'wife': 'spouse', 'husband': 'spouse',
+    'parent': 'parent', 'mother': 'parent', 'mom': 'parent', 'father': 'parent', 'dad': 'parent',
+    'child': 'child', 'son': 'child', 'daughter': 'child',
+    'partner': 'partner', 'life partner': 'partner', 'domestic partner': 'partner',
+    'grandparent': 'grandparent', 'grandmother': 'grandparent', 'grandfather': 'grandparent',
+    'other': 'other'
+};
+
+// Athena relationshiptoinsuredid: the patient's relationship to the policy holder
+const RELATIONSHIP_TO_INSURED_IDS = {
+    self: 1,
+    spouse: 2,
+    parent: 3, // patient is the holder's child
+    grandparent: 6, // patient is the holder's grandchild
+    partner: 26,
+    other: 4
+};
+
+// The table changes rarely; re-read it at most once a minute per instance
+const CACHE_TTL_MS = 60 * 1000;
+let cached = null;
+
+async function loadPayerList(firestore) {
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+        return cached.payers;
+    }
+    
+    const payerDoc = await firestore.collection('configuration').doc('insurance_payers').get();
+    const payers = payerDoc.exists ? (payerDoc.data().payers || []) : [];
+    cached = {payers, loadedAt: Date.now()};
+    return payers;
+}
+
+// Lower-case words without punctuation or filler; spelled letters ("b c b s") join up
+function payerTokens(name) {
+    const words = String(name || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !PAYER_STOP_WORDS.has(word));
+    
+    const tokens = [];
+    for (const word of words) {
+        const previous = tokens[tokens.length - 1];
+        if (word.length === 1 && previous && previous.spelled) {
+            previous.text += word;
+        } else {
+            tokens.push({text: word, spelled: word.length === 1});
+        }
+    }
+    return tokens.map(token => token.text);
+}
+
+function compact(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function similarity(spokenName, spokenTokens, name) {
+    const nameTokens = payerTokens(name);
+    if (spokenTokens.length === 0 || nameTokens.length === 0) return 0;
+    // "united health care" is "UnitedHealthcare"
+    if (spokenTokens.join(' ') === nameTokens.join(' ') || compact(spokenName) === compact(name)) return 1;
+    
+    const spoken = new Set(spokenTokens);
+    const known = new Set(nameTokens);
+    const shared = [...spoken].filter(token => known.has(token)).length;
+    return shared / new Set([...spoken, ...known]).size;
+}
+
+/**
+ * Match a spoken payer name against the payer list.
+ * Returns {status, payer, candidates} where candidates are
+ * {insurancePackageId, name, score} for staff to choose from.
+ */
+function matchPayer(payers, spokenName) {
+    const spokenTokens = payerTokens(spokenName);
+    
+    const candidates = payers
+        .map(payer => ({
+            insurancePackageId: String(payer.insurancePackageId),
+            name: payer.name,
+            score: Math.max(...[payer.name, ...(payer.aliases || [])].map(name => similarity(spokenName, spokenTokens, name)))
+        }))
+        .filter(candidate => candidate.score >= PAYER_CANDIDATE_THRESHOLD)
+        .sort((a, b) => b.score - a.score);
+    
+    if (candidates.length === 0) {
+        return {status: MATCH_STATUS.NONE, payer: null, candidates};
+    }
+    
+    const [best, runnerUp] = candidates;
+    const clearWinner = !runnerUp || best.score - runnerUp.score >= PAYER_MATCH_MARGIN;
+    if (best.score === 1 || (best.score >= PAYER_MATCH_THRESHOLD && clearWinner)) {
+        return {status: MATCH_STATUS.MATCH, payer: best, candidates};
+    }
+    return {status: MATCH_STATUS.AMBIGUOUS, payer: null, candidates};
+}
+
+// Canonical policy holder ("self", "spouse", "parent", ...) or null when not understood
+function normalizePolicyHolder(value) {
+    const cleaned = String(value || '')
+        .toLowerCase()
+        .replace(/[^a-z\s]/g, ' ')
+        .replace(/\b(my|the|is|it's|its)\b/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return POLICY_HOLDERS[cleaned] || null;
+}
+
+/**
+ * Athena relationshiptoinsuredid for a canonical policy holder. When the holder
+ * is the patient's child, the patient is the holder's mother (18) or father (19).
+ */
+function relationshipToInsuredId(policyHolder, patientSex) {
+    if (policyHolder === 'child') {
+        if (patientSex === 'F') return 18;
+        if (patientSex === 'M') return 19;
+        return RELATIONSHIP_TO_INSURED_IDS.other;
+    }
+    return RELATIONSHIP_TO_INSURED_IDS[policyHolder] || RELATIONSHIP_TO_INSURED_IDS.other;
+}
+
+module.exports = {
+    PAYER_MATCH_THRESHOLD,
+    loadPayerList,
+    matchPayer,
+    normalizePolicyHolder,
+    relationshipToInsuredId
+};
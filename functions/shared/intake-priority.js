@@ -0,0 +1,67 @@
+/**
+ * Intake priority for Gabar AI
+ * Every queued intake sits in a priority lane and may carry a `notBefore`
+ * time; intake-processor drains due intakes lane by lane, oldest first.
+ * `dueAt` (the hold time, else createdAt) is what the queue is queried on.
+ */
+
+// Drained in this order
+const PRIORITY_LANES = ['urgent', 'high', 'normal', 'low'];
+const DEFAULT_PRIORITY = 'normal';
+
+// What pathways and staff tools may send instead of a lane name
+const PRIORITY_ALIASES = {
+    'same day': 'urgent',
+    'sameday': 'urgent',
+    'asap': 'urgent',
+    'routine': 'normal'
+};
+
+// Lane for a priority value, or null when it is not recognized
+function normalizePriority(value) {
+    const key = String(value || '').trim().toLowerCase().replace(/[_-]+/g, ' ');
+    if (PRIORITY_LANES.includes(key)) return key;
+    return PRIORITY_ALIASES[key] || null;
+}
+
+function priorityRank(priority) {
+    const rank = PRIORITY_LANES.indexOf(priority);
+    return rank === -1 ? PRIORITY_LANES.indexOf(DEFAULT_PRIORITY) : rank;
+}
+
+function toMillis(value) {
+    if (!value) return 0;
+    if (value.toMillis) return value.toMillis();
+    return new Date(value).getTime();
+}
+
+// A held intake is not due until its notBefore time has passed
+function isIntakeDue(record, now = Date.now()) {
+    return !record.notBefore || toMillis(record.notBefore) <= now;
+}
+
+// When a queued intake becomes due: the end of its hold, else when it was queued
+function intakeDueAt(record) {
+    return record.notBefore || record.createdAt || new Date();
+}
+
+// Lanes an intake in `priority` waits behind, its own included
+function lanesAtOrAbove(priority) {
+    return PRIORITY_LANES.slice(0, priorityRank(priority) + 1);
+}
+
+// Sort order for the queue: lane first, then the longest waiting
+function compareIntakes(a, b) {
+    return priorityRank(a.priority) - priorityRank(b.priority) ||
+        toMillis(a.createdAt) - toMillis(b.createdAt);
+}
+
+module.exports = {
+    PRIORITY_LANES,
+    DEFAULT_PRIORITY,
+    normalizePriority,
+    isIntakeDue,
+    intakeDueAt,
+    lanesAtOrAbove,
+    compareIntakes
+};
@@ -0,0 +1,94 @@
+/**
+ * Intake timeline for Gabar AI
+ * blandWebhook gives every call a correlation ID that travels as the
+ * `correlationId` Pub/Sub attribute through patient-creator,
+ * appointment-booker, activity-logger and alerts-and-dashboard. Each step
+ * appends an ordered event to intake_timeline/{correlationId}/events, and the
+ * timeline doc links the queue doc, Athena patient and appointment.
+ */
+
+const crypto = require('crypto');
+
+const CORRELATION_ATTRIBUTE = 'correlationId';
+
+const TIMELINE_EVENTS = {
+    RECEIVED: 'received',
+    NORMALIZED: 'normalized',
+    CREATED: 'created',
+    BOOKED: 'booked',
+    ALERTED: 'alerted',
+    FAILED: 'failed'
+};
+
+function newCorrelationId() {
+    return crypto.randomUUID();
+}
+
+// The message's correlation ID; null for messages published before there was one
+function correlationIdFrom(message) {
+    return message?.attributes?.[CORRELATION_ATTRIBUTE] || null;
+}
+
+// Attributes to publish with; empty when there is no ID to pass on
+function correlationAttributes(correlationId) {
+    return correlationId ? {[CORRELATION_ATTRIBUTE]: correlationId} : {};
+}
+
+/**
+ * Append events ({event, source, details, at}) in order and merge `links`
+ * (queueId, athenaPatientId, appointmentId, ...) onto the timeline doc.
+ * The sequence number comes from a transaction, so events from different
+ * functions never collide. A failed write is logged, never thrown: the
+ * timeline must not fail the step it describes.
+ */
+async function appendTimelineEvents(firestore, correlationId, events, links = {}) {
+    if (!correlationId || !events.length) return;
+    
+    const timelineRef = firestore.collection('intake_timeline').doc(correlationId);
+    const knownLinks = Object.fromEntries(
+        Object.entries(links).filter(([, value]) => value !== undefined && value !== null)
+    );
+    
+    try {
+        await firestore.runTransaction(async (transaction) => {
+            const doc = await transaction.get(timelineRef);
+            let sequence = doc.exists ? doc.data().eventCount || 0 : 0;
+            
+            for (const event of events) {
+                sequence++;
+                transaction.set(timelineRef.collection('events').doc(String(sequence).padStart(4, '0')), {
+                    sequence: sequence,
+                    event: event.event,
+                    source: event.source,
+                    details: event.details || {},
+                    at: event.at || new Date()
+                });
+            }
+            
+            transaction.set(timelineRef, {
+                correlationId: correlationId,
+                ...knownLinks,
+                eventCount: sequence,
+                lastEvent: events[events.length - 1].event,
+                updatedAt: new Date(),
+                ...(doc.exists ? {} : {createdAt: new Date()})
+            }, {merge: true});
+        });
+    } catch (error) {
+        console.error(`Could not append ${events.map(event => event.event).join(', ')} to timeline ${correlationId}:`, error.message);
+    }
+}
+
+async function appendTimelineEvent(firestore, correlationId, event, links) {
+    return appendTimelineEvents(firestore, correlationId, [event], links);
+}
+
+module.exports = {
+    CORRELATION_ATTRIBUTE,
+    TIMELINE_EVENTS,
+    newCorrelationId,
+    correlationIdFrom,
+    correlationAttributes,
+    appendTimelineEvents,
+    appendTimelineEvent
+};
@@ -0,0 +1,183 @@
+/**
+ * Field normalizers shared by the Gabar AI functions
+ * Originally written for patient-creator (ported from the Airtable scripts) and
+ * reused at the webhook boundary so intakes are checked before they are queued
+ */
+
+// Verbal number conversions from your Airtable script
+const VERBAL_NUMBERS = {
+    'zero': '0', 'one': '1', 'two': '2', 'three': '3', 'four': '4',
+    'five': '5', 'six': '6', 'seven': '7', 'eight': '8', 'nine': '9',
+    'ten': '10', 'eleven': '11', 'twelve': '12', 'thirteen': '13',
+    'fourteen': '14', 'fifteen': '15', 'sixteen': '16', 'seventeen': '17',
+    'eighteen': '18', 'nineteen': '19', 'twenty': '20',
+    'thirty': '30', 'forty': '40', 'fifty': '50', 'sixty': '60',
+    'seventy': '70', 'eighty': '80', 'ninety': '90',
+    'hundred': '100', 'thousand': '1000'
+};
+
+// State abbreviations from your Airtable script
+const STATE_ABBREVIATIONS = {
+    'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR',
+    'california': 'CA', 'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE',
+    'florida': 'FL', 'georgia': 'GA', 'hawaii': 'HI', 'idaho': 'ID',
+    'illinois': 'IL', 'indiana': 'IN', 'iowa': 'IA', 'kansas': 'KS',
+    'kentucky': 'KY', 'louisiana': 'LA', 'maine': 'ME', 'maryland': 'MD',
+    'massachusetts': 'MA', 'michigan': 'MI', 'minnesota': 'MN', 'mississippi': 'MS',
+    'missouri': 'MO', 'montana': 'MT', 'nebraska': 'NE', 'nevada': 'NV',
+    'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY',
+    'north carolina': 'NC', 'north dakota': 'ND', 'ohio': 'OH', 'oklahoma': 'OK',
+    'oregon': 'OR', 'pennsylvania': 'PA', 'rhode island': 'RI', 'south carolina': 'SC',
+    'south dakota': 'SD', 'tennessee': 'TN', 'texas': 'TX', 'utah': 'UT',
+    'vermont': 'VT', 'virginia': 'VA', 'washington': 'WA', 'west virginia': 'WV',
+    'wisconsin': 'WI', 'wyoming': 'WY',
+    // DC and the territories Athena accepts as states
+    'district of columbia': 'DC', 'washington dc': 'DC', 'washington d.c.': 'DC', 'd.c.': 'DC',
+    'puerto rico': 'PR', 'guam': 'GU', 'virgin islands': 'VI', 'us virgin islands': 'VI',
+    'u.s. virgin islands': 'VI', 'american samoa': 'AS', 'northern mariana islands': 'MP'
+};
+
+// Convert verbal numbers to numeric (from your Airtable script)
+function convertVerbalToNumeric(verbalText) {
+    if (!verbalText) return '';
+    
+    const cleaned = String(verbalText).trim().toLowerCase();
+    
+    if (/^\d+$/.test(cleaned)) {
+        return cleaned;
+    }
+    
+    if (VERBAL_NUMBERS[cleaned]) {
+        return VERBAL_NUMBERS[cleaned];
+    }
+    
+    // Handle compound numbers
+    if (cleaned.includes('-') || cleaned.includes(' ')) {
+        const parts = cleaned.split(/[\s-]+/);
+        // Numbers said one after another ("one twenty three" for 123) are
+        // written side by side instead of added
+        const groups = [];
+        let total = 0;
+        let current = 0;
+        let started = false;
+        const endGroup = () => {
+            if (started) groups.push(String(total + current));
+            total = 0;
+            current = 0;
+            started = false;
+        };
+        
+        for (const part of parts) {
+            if (VERBAL_NUMBERS[part]) {
+                const value = parseInt(VERBAL_NUMBERS[part]);
+                if (part === 'hundred') {
+                    current = (current || 1) * 100;
+                } else if (part === 'thousand') {
+                    total += (current || 1) * 1000;
+                    current = 0;
+                } else if (value === 0) {
+                    // "one zero one": a zero is always a digit of its own
+                    endGroup();
+                    groups.push('0');
+                } else {
+                    // Tens cannot follow units or tens, nor units follow units
+                    const fits = value < 10 ? current % 10 === 0 : current % 100 === 0;
+                    if (!fits) endGroup();
+                    current += value;
+                }
+                started = started || value !== 0;
+            }
+        }
+        
+        endGroup();
+        if (groups.length) {
+            return groups.join('');
+        }
+    }
+    
+    // Handle ordinal numbers
+    const ordinalMatch = cleaned.match(/^(\d+)(st|nd|rd|th)$/);
+    if (ordinalMatch) {
+        return ordinalMatch[1];
+    }
+    
+    return verbalText;
+}
+
+// Build street address from house number and street
+function buildStreetAddress(houseNumber, street) {
+    const numericHouseNumber = convertVerbalToNumeric(houseNumber);
+    const cleanedStreet = street ? String(street).trim().replace(/"/g, '') : '';
+    
+    if (numericHouseNumber && cleanedStreet) {
+        return `${numericHouseNumber} ${cleanedStreet}`;
+    } else if (cleanedStreet) {
+        return cleanedStreet;
+    } else if (numericHouseNumber) {
+        return numericHouseNumber;
+    }
+    
+    return '';
+}
+
+// Format date from ISO to US format
+function formatDateForAthena(isoDate) {
+    if (!isoDate || typeof isoDate !== 'string') return '';
+    
+    const parts = isoDate.split('-');
+    if (parts.length !== 3) return isoDate;
+    
+    // Basic validation for year, month, and day
+    const [year, month, day] = parts.map(p => parseInt(p, 10));
+    if (isNaN(year) || isNaN(month) || isNaN(day) || month < 1 || month > 12 || day < 1 || day > 31) {
+        return '';
+    }
+
+    return `${parts[1]}/${parts[2]}/${parts[0]}`; // MM/DD/YYYY
+}
+
+// Clean phone number
+function cleanPhone(phone) {
+    if (!phone) return '';
+    
+    let cleaned = phone.replace(/\D/g, '');
+    
+    // Remove leading 1 if 11 digits
+    if (cleaned.length === 11 && cleaned.startsWith('1')) {
+        cleaned = cleaned.substring(1);
+    }
+    
+    // Validate NANP format
+    if (cleaned.length === 10 && cleaned[0] >= '2' && cleaned[0] <= '9' && 
+        cleaned[3] >= '2' && cleaned[3] <= '9') {
+        return cleaned;
+    }
+    
+    return '';
+}
+
+// Normalize sex field
+function normalizeSex(value) {
+    const cleaned = String(value || '').replace(/"/g, '').trim().toUpperCase();
+    if (cleaned === 'MAN' || cleaned === 'M' || cleaned === 'MALE') return 'M';
+    if (cleaned === 'WOMAN' || cleaned === 'F' || cleaned === 'FEMALE') return 'F';
+    return '';
+}
+
+// Get state abbreviation
+function getStateAbbreviation(stateName) {
+    if (!stateName) return '';
+    if (stateName.length === 2) return stateName.toUpperCase();
+    return STATE_ABBREVIATIONS[stateName.toLowerCase()] || stateName;
+}
+
+module.exports = {
+    VERBAL_NUMBERS,
+    STATE_ABBREVIATIONS,
+    convertVerbalToNumeric,
+    buildStreetAddress,
+    formatDateForAthena,
+    cleanPhone,
+    normalizeSex,
+    getStateAbbreviation
+};
@@ -0,0 +1,111 @@
+/**
+ * Existing-patient matching for Gabar AI
+ * Searches Athena's best-match endpoint by name, DOB and phone so returning
+ * callers attach to their existing chart instead of getting a duplicate
+ */
+
+const {cleanPhone} = require('./normalizers');
+
+// Athena best-match scores at or above this are treated as the same person
+const MATCH_SCORE_THRESHOLD = 26;
+
+const MATCH_STATUS = {
+    MATCH: 'match',
+    AMBIGUOUS: 'ambiguous',
+    NONE: 'none'
+};
+
+function phonesOf(patient) {
+    return [patient.mobilephone, patient.homephone, patient.workphone]
+        .map(phone => cleanPhone(phone || ''))
+        .filter(Boolean);
+}
+
+/**
+ * Look up an existing Athena patient through the shared AthenaClient.
+ * `criteria` carries {firstName, lastName, dob (MM/DD/YYYY), phone};
+ * `options` may carry {practiceId, departmentId, scoreThreshold} plus request options.
+ * Returns {status, patientId, candidates} where candidates are {patientId, score}.
+ */
+async function findPatientMatch(athena, criteria, options = {}) {
+    const {scoreThreshold, departmentId, ...requestOptions} = options;
+    const threshold = scoreThreshold || MATCH_SCORE_THRESHOLD;
+    const phone = cleanPhone(criteria.phone || '');
+    
+    const params = {
+        firstname: criteria.firstName,
+        lastname: criteria.lastName,
+        dob: criteria.dob,
+        departmentid: departmentId || (await athena.getConfig()).departmentId
+    };
+    if (phone) params.mobilephone = phone;
+    
+    let results;
+    try {
+        results = await athena.findBestMatch(params, requestOptions);
+    } catch (error) {
+        // Athena answers 404 when nobody matches
+        if (error.response && error.response.status === 404) {
+            return {status: MATCH_STATUS.NONE, patientId: null, candidates: []};
+        }
+        throw error;
+    }
+    
+    // Only patients with the same DOB are candidates at all
+    const candidates = results
+        .filter(patient => !patient.dob || patient.dob === criteria.dob)
+        .map(patient => ({
+            patientId: String(patient.patientid),
+            score: Number(patient.score) || 0,
+            phoneMatches: !!phone && phonesOf(patient).includes(phone)
+        }))
+        .sort((a, b) => b.score - a.score);
+    
+    if (candidates.length === 0) {
+        return {status: MATCH_STATUS.NONE, patientId: null, candidates};
+    }
+    
+    const [best, runnerUp] = candidates;
+    const confident = best.score >= threshold || best.phoneMatches;
+    const tied = runnerUp && (runnerUp.score >= threshold || runnerUp.phoneMatches);
+    
+    if (confident && !tied) {
+        return {status: MATCH_STATUS.MATCH, patientId: best.patientId, candidates};
+    }
+    return {status: MATCH_STATUS.AMBIGUOUS, patientId: null, candidates};
+}
+
+// Names compare without case, spacing or punctuation ("O'Neil" == "oneil")
+function sameName(a, b) {
+    const simplify = name => String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+    return !!simplify(a) && simplify(a) === simplify(b);
+}
+
+/**
+ * Check that an Athena patient ID supplied from outside (a pathway variable or
+ * a mid-call lookup) names the caller's chart: same first name, last name and
+ * DOB (MM/DD/YYYY). Returns false when the chart does not exist or differs.
+ */
+async function confirmPatientIdentity(athena, patientId, criteria, options = {}) {
+    let patient;
+    try {
+        patient = await athena.getPatient(patientId, options);
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return false;
+        }
+        throw error;
+    }
+    
+    return !!patient &&
+        sameName(patient.firstname, criteria.firstName) &&
+        sameName(patient.lastname, criteria.lastName) &&
+        patient.dob === criteria.dob;
+}
+
+module.exports = {
+    MATCH_STATUS,
+    MATCH_SCORE_THRESHOLD,
+    findPatientMatch,
+    confirmPatientIdentity
+};
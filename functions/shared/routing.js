@@ -0,0 +1,85 @@
+/**
+ * Pathway routing for Gabar AI
+ * Resolves practice, department, provider, appointment type and confirmation
+ * email policy for an intake from the routing table in Firestore, so a new
+ * intake line only needs a configuration change
+ *
+ * configuration/pathway_routing:
+ *   defaults: {practiceId, departmentId, providerId, appointmentTypeId, sendConfirmationEmail}
+ *   routes: [{id, pathwayId, when: {visit_reason: ['physical', 'checkup']}, ...same fields}]
+ */
+
+const {loadSettings} = require('./settings');
+
+const ROUTE_FIELDS = ['practiceId', 'departmentId', 'providerId', 'appointmentTypeId', 'sendConfirmationEmail'];
+
+// The table changes rarely; re-read it at most once a minute per instance
+const CACHE_TTL_MS = 60 * 1000;
+let cached = null;
+
+async function loadRoutingTable(firestore) {
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+        return cached.table;
+    }
+    
+    const [routingDoc, settings] = await Promise.all([
+        firestore.collection('configuration').doc('pathway_routing').get(),
+        loadSettings(firestore)
+    ]);
+    const routing = routingDoc.exists ? routingDoc.data() : {};
+    
+    const table = {
+        defaults: {
+            appointmentTypeId: settings.defaultAppointmentTypeId || null,
+            sendConfirmationEmail: true,
+            ...(routing.defaults || {})
+        },
+        routes: routing.routes || []
+    };
+    cached = {table, loadedAt: Date.now()};
+    return table;
+}
+
+function valueMatches(expected, actual) {
+    if (actual === undefined || actual === null) return false;
+    const candidates = Array.isArray(expected) ? expected : [expected];
+    const normalized = String(actual).trim().toLowerCase();
+    return candidates.some(candidate => String(candidate).trim().toLowerCase() === normalized);
+}
+
+/**
+ * Pick the route for a pathway. Routes whose `when` conditions all match the
+ * call variables win over less specific ones; `pathwayId: '*'` matches any pathway.
+ */
+function resolveRoute(table, pathwayId, variables = {}) {
+    const matching = table.routes
+        .filter(route => route.pathwayId === '*' || route.pathwayId === pathwayId)
+        .filter(route => Object.entries(route.when || {})
+            .every(([variable, expected]) => valueMatches(expected, variables[variable])))
+        .sort((a, b) => {
+            const specificity = Object.keys(b.when || {}).length - Object.keys(a.when || {}).length;
+            if (specificity !== 0) return specificity;
+            return (a.pathwayId === '*') - (b.pathwayId === '*');
+        });
+    
+    const route = matching[0] || {};
+    const resolved = {routeId: route.id || null};
+    for (const field of ROUTE_FIELDS) {
+        const value = route[field] ?? table.defaults[field];
+        resolved[field] = value === undefined ? null : value;
+    }
+    if (resolved.appointmentTypeId !== null) resolved.appointmentTypeId = String(resolved.appointmentTypeId);
+    return resolved;
+}
+
+async function resolveRouting(firestore, pathwayId, variables) {
+    const table = await loadRoutingTable(firestore);
+    return resolveRoute(table, pathwayId, variables);
+}
+
+module.exports = {
+    ROUTE_FIELDS,
+    loadRoutingTable,
+    resolveRoute,
+    resolveRouting
+};
@@ -0,0 +1,38 @@
+/**
+ * Integration settings for Gabar AI
+ * Reads configuration/settings with the defaults the setup script writes,
+ * cached briefly so every invocation does not pay for a Firestore read
+ */
+
+const DEFAULT_SETTINGS = {
+    defaultAppointmentTypeId: null,
+    processingBatchSize: 10, // intakes claimed per intake-processor run
+    intakeLeaseMinutes: 15, // an unfinished intake is reclaimed after this
+    intakeMaxAttempts: 5, // claims per intake (retryCount) before it is dead-lettered
+    retryAttempts: 3,
+    retryDelayMs: 2000,
+    slotRecoveryWindowDays: 7, // how far from a taken slot the booker looks for another
+    appointmentCancelReasons: {}, // reason key ("patient_request", ...) -> Athena appointmentcancelreasonid
+    appointmentSyncLookbackDays: 7, // past appointments still checked for an outcome
+    appointmentSyncBatchSize: 200,
+    environment: 'production'
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+let cached = null;
+
+async function loadSettings(firestore) {
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+        return cached.settings;
+    }
+    
+    const doc = await firestore.collection('configuration').doc('settings').get();
+    const settings = {...DEFAULT_SETTINGS, ...(doc.exists ? doc.data() : {})};
+    cached = {settings, loadedAt: Date.now()};
+    return settings;
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    loadSettings
+};
@@ -0,0 +1,439 @@
+/**
+ * Spoken-input normalization for Gabar AI
+ * Voice transcripts carry dates, emails, phone numbers and apartment numbers
+ * the way callers say them ("January fifteenth nineteen ninety", "john dot
+ * smith at gmail dot com", "seven oh two double five..."). These parsers turn
+ * them into canonical values and say how sure they are:
+ *   high   - the input was already in canonical form
+ *   medium - parsed from spoken words without guessing
+ *   low    - parsed, but something had to be assumed (a two-digit year that
+ *            could be either century, missing ".com", skipped words); worth
+ *            confirming with the caller
+ * Every parser returns {value, confidence}, with value null when nothing usable
+ * could be read.
+ */
+
+const {VERBAL_NUMBERS, convertVerbalToNumeric, cleanPhone} = require('./normalizers');
+
+const CONFIDENCE = {
+    HIGH: 'high',
+    MEDIUM: 'medium',
+    LOW: 'low'
+};
+
+const CONFIDENCE_RANK = {[CONFIDENCE.LOW]: 0, [CONFIDENCE.MEDIUM]: 1, [CONFIDENCE.HIGH]: 2};
+
+// Digits as they are read out one at a time
+const DIGIT_WORDS = {
+    'zero': '0', 'oh': '0', 'o': '0', 'one': '1', 'two': '2', 'three': '3', 'four': '4',
+    'five': '5', 'six': '6', 'seven': '7', 'eight': '8', 'nine': '9'
+};
+
+const REPEAT_WORDS = {'double': 2, 'triple': 3};
+
+const TENS_WORDS = {
+    'twenty': 20, 'thirty': 30, 'forty': 40, 'fifty': 50,
+    'sixty': 60, 'seventy': 70, 'eighty': 80, 'ninety': 90
+};
+
+const ORDINAL_WORDS = {
+    'first': 1, 'second': 2, 'third': 3, 'fourth': 4, 'fifth': 5, 'sixth': 6,
+    'seventh': 7, 'eighth': 8, 'ninth': 9, 'tenth': 10, 'eleventh': 11,
+    'twelfth': 12, 'thirteenth': 13, 'fourteenth': 14, 'fifteenth': 15,
+    'sixteenth': 16, 'seventeenth': 17, 'eighteenth': 18, 'nineteenth': 19,
+    'twentieth': 20, 'thirtieth': 30
+};
+
+const MONTHS = {
+    'january': 1, 'jan': 1, 'february': 2, 'feb': 2, 'march': 3, 'mar': 3,
+    'april': 4, 'apr': 4, 'may': 5, 'june': 6, 'jun': 6, 'july': 7, 'jul': 7,
+    'august': 8, 'aug': 8, 'september': 9, 'sept': 9, 'sep': 9,
+    'october': 10, 'oct': 10, 'november': 11, 'nov': 11, 'december': 12, 'dec': 12
+};
+
+// Words callers wrap around the value itself
+const FILLER_WORDS = new Set([
+    'my', 'number', 'is', 'its', "it's", 'area', 'code', 'dash', 'the', 'of', 'and', 'on', 'born',
+    'member', 'group', 'policy', 'id'
+]);
+
+// Providers whose domain callers often say without the ".com"
+const KNOWN_EMAIL_DOMAINS = ['gmail', 'yahoo', 'hotmail', 'outlook', 'aol', 'icloud'];
+
+const EMAIL_PATTERN = /^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/;
+
+const UNIT_DESIGNATORS = {
+    'apartment': 'Apt', 'apt': 'Apt', 'unit': 'Unit', 'suite': 'Ste', 'ste': 'Ste',
+    'room': 'Rm', 'rm': 'Rm', 'floor': 'Fl', 'fl': 'Fl', 'building': 'Bldg', 'bldg': 'Bldg',
+    'lot': 'Lot', 'number': '#', 'no': '#', '#': '#'
+};
+
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[,.]/g, ' ')
+        .replace(/-/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+function result(value, confidence) {
+    return value ? {value, confidence} : {value: null, confidence: null};
+}
+
+// The least certain of several confidence levels (nulls are ignored)
+function lowestConfidence(levels) {
+    return levels
+        .filter(Boolean)
+        .reduce((lowest, level) => (CONFIDENCE_RANK[level] < CONFIDENCE_RANK[lowest] ? level : lowest), CONFIDENCE.HIGH);
+}
+
+/**
+ * Phone numbers read out digit by digit, with "oh" for zero, "double five"
+ * and "triple nine", and the odd grouped number ("fifty five", "eight hundred").
+ * Returns a 10-digit NANP number.
+ */
+function parseSpokenPhone(text) {
+    if (!text) return result(null);
+    
+    const typed = String(text);
+    if (!/[a-z]/i.test(typed)) {
+        return result(cleanPhone(typed), CONFIDENCE.HIGH);
+    }
+    
+    const tokens = tokenize(typed);
+    let digits = '';
+    let guessed = false;
+    
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const next = tokens[i + 1];
+        
+        if (/^\d+$/.test(token)) {
+            digits += token;
+        } else if (DIGIT_WORDS[token]) {
+            digits += DIGIT_WORDS[token];
+        } else if (REPEAT_WORDS[token] && next && (DIGIT_WORDS[next] || /^\d$/.test(next))) {
+            digits += (DIGIT_WORDS[next] || next).repeat(REPEAT_WORDS[token]);
+            i++;
+        } else if (TENS_WORDS[token]) {
+            // "fifty five" is two digits, a bare "fifty" is "50"
+            const unit = DIGIT_WORDS[next];
+            if (unit && next !== 'oh' && next !== 'o' && next !== 'zero') {
+                digits += String(TENS_WORDS[token] + parseInt(unit, 10));
+                i++;
+            } else {
+                digits += String(TENS_WORDS[token]);
+            }
+            guessed = true;
+        } else if (token === 'hundred' && digits) {
+            digits += '00';
+            guessed = true;
+        } else if (VERBAL_NUMBERS[token]) {
+            // Teens ("eleven") said as a pair of digits
+            digits += VERBAL_NUMBERS[token];
+            guessed = true;
+        } else if (!FILLER_WORDS.has(token)) {
+            guessed = true;
+        }
+    }
+    
+    return result(cleanPhone(digits), guessed ? CONFIDENCE.LOW : CONFIDENCE.MEDIUM);
+}
+
+/**
+ * Emails spelled out with "at", "dot", "underscore" and friends.
+ * A known provider said without its ".com" gets one, at low confidence.
+ */
+function parseSpokenEmail(text) {
+    if (!text) return result(null);
+    
+    const typed = String(text).trim().toLowerCase();
+    if (EMAIL_PATTERN.test(typed)) {
+        return result(typed, CONFIDENCE.HIGH);
+    }
+    
+    let email = ` ${typed} `
+        .replace(/\s+at\s+(sign\s+)?/g, '@')
+        .replace(/\s+(dot|period|point)\s+/g, '.')
+        .replace(/\s+underscore\s+/g, '_')
+        .replace(/\s+(dash|hyphen)\s+/g, '-')
+        .replace(/\s+plus\s+/g, '+')
+        .replace(/\s+/g, '');
+    let confidence = CONFIDENCE.MEDIUM;
+    
+    const domainMatch = email.match(/@([a-z0-9-]+)$/);
+    if (domainMatch && KNOWN_EMAIL_DOMAINS.includes(domainMatch[1])) {
+        email += '.com';
+        confidence = CONFIDENCE.LOW;
+    }
+    
+    return EMAIL_PATTERN.test(email) ? result(email, confidence) : result(null);
+}
+
+// "nineteen ninety", "nineteen oh five", "two thousand and five", "twenty twenty", "1990"
+function parseSpokenYear(tokens) {
+    const words = tokens.filter(token => token !== 'and');
+    if (words.length === 0) return null;
+    
+    if (words.length === 1 && /^\d{4}$/.test(words[0])) {
+        return {year: parseInt(words[0], 10), twoDigit: false};
+    }
+    if (words.length === 1 && /^\d{2}$/.test(words[0])) {
+        return {year: parseInt(words[0], 10), twoDigit: true};
+    }
+    
+    if (words.includes('thousand')) {
+        const year = parseInt(convertVerbalToNumeric(words.join(' ')), 10);
+        return isNaN(year) ? null : {year, twoDigit: false};
+    }
+    
+    const century = parseInt(VERBAL_NUMBERS[words[0]], 10);
+    const rest = words.slice(1);
+    if (century >= 10 && century <= 20 && rest.length > 0) {
+        if (rest.length === 1 && rest[0] === 'hundred') {
+            return {year: century * 100, twoDigit: false};
+        }
+        if (rest[0] === 'oh' && rest.length === 2 && DIGIT_WORDS[rest[1]]) {
+            return {year: century * 100 + parseInt(DIGIT_WORDS[rest[1]], 10), twoDigit: false};
+        }
+        const remainder = parseSpokenYear(rest);
+        if (remainder && remainder.twoDigit) {
+            return {year: century * 100 + remainder.year, twoDigit: false};
+        }
+        return null;
+    }
+    
+    // A bare "ninety" or "eighty five" is a two-digit year
+    const value = parseInt(convertVerbalToNumeric(words.join(' ')), 10);
+    if (!isNaN(value) && value < 100 && words.every(word => VERBAL_NUMBERS[word])) {
+        return {year: value, twoDigit: true};
+    }
+    return null;
+}
+
+// "15", "15th", "fifteenth", "fifteen", "twenty first"; returns {day, used}
+function parseSpokenDay(tokens) {
+    const [first, second] = tokens;
+    if (!first) return null;
+    
+    const numeric = first.match(/^(\d{1,2})(st|nd|rd|th)?$/);
+    if (numeric) return {day: parseInt(numeric[1], 10), used: 1};
+    if (ORDINAL_WORDS[first]) return {day: ORDINAL_WORDS[first], used: 1};
+    
+    if (first === 'twenty' || first === 'thirty') {
+        const unit = ORDINAL_WORDS[second] || parseInt(DIGIT_WORDS[second], 10);
+        if (second && unit && unit < 10 && second !== 'oh' && second !== 'o') {
+            return {day: TENS_WORDS[first] + unit, used: 2};
+        }
+        return {day: TENS_WORDS[first], used: 1};
+    }
+    
+    const cardinal = parseInt(VERBAL_NUMBERS[first], 10);
+    if (cardinal >= 1 && cardinal <= 19) return {day: cardinal, used: 1};
+    return null;
+}
+
+// Two-digit years belong to the most recent century that keeps them in the past
+function expandYear(twoDigitYear) {
+    const currentYear = new Date().getFullYear();
+    const year = 2000 + twoDigitYear;
+    return year > currentYear ? year - 100 : year;
+}
+
+// "90" can only be 1990, but "15" could be 1915 or 2015
+function isAmbiguousYear(twoDigitYear) {
+    return 2000 + twoDigitYear <= new Date().getFullYear();
+}
+
+// Confidence in a date whose year was read as four digits or expanded from two
+function yearConfidence(year, confidence) {
+    return year.twoDigit && isAmbiguousYear(year.year) ? CONFIDENCE.LOW : confidence;
+}
+
+function toIsoDate(year, month, day) {
+    const iso = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    const date = new Date(`${iso}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === iso ? iso : null;
+}
+
+/**
+ * Dates as ISO, MM/DD/YYYY or spoken ("January fifteenth nineteen ninety",
+ * "the 15th of Jan 1990", "nineteen ninety January fifteen").
+ * Returns an ISO YYYY-MM-DD date.
+ */
+function parseSpokenDate(text) {
+    if (!text) return result(null);
+    
+    const typed = String(text).trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(typed)) {
+        return result(toIsoDate(...typed.split('-').map(p => parseInt(p, 10))), CONFIDENCE.HIGH);
+    }
+    
+    const numeric = typed.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})$/);
+    if (numeric) {
+        const [, month, day, year] = numeric;
+        const twoDigit = year.length === 2;
+        const fullYear = twoDigit ? expandYear(parseInt(year, 10)) : parseInt(year, 10);
+        const confidence = twoDigit || !typed.includes('/') ? CONFIDENCE.MEDIUM : CONFIDENCE.HIGH;
+        return result(
+            toIsoDate(fullYear, parseInt(month, 10), parseInt(day, 10)),
+            yearConfidence({year: parseInt(year, 10), twoDigit}, confidence)
+        );
+    }
+    
+    const tokens = tokenize(typed).filter(token => !FILLER_WORDS.has(token) || token === 'and');
+    const monthIndex = tokens.findIndex(token => MONTHS[token]);
+    if (monthIndex === -1) return result(null);
+    
+    const month = MONTHS[tokens[monthIndex]];
+    const before = tokens.slice(0, monthIndex);
+    const after = tokens.slice(monthIndex + 1);
+    
+    // "15th of January 1990" puts the day first, "January 15th 1990" after the
+    // month, and "1990 January 15th" the year first
+    let day;
+    let year;
+    const dayFirst = before.length > 0 && parseSpokenDay(before);
+    if (dayFirst && dayFirst.used === before.length) {
+        day = dayFirst;
+        year = parseSpokenYear(after);
+    } else if (before.length > 0) {
+        day = parseSpokenDay(after);
+        if (!day || day.used !== after.length) return result(null);
+        year = parseSpokenYear(before);
+    } else {
+        day = parseSpokenDay(after);
+        if (!day) return result(null);
+        year = parseSpokenYear(after.slice(day.used));
+    }
+    if (!day || !year) return result(null);
+    
+    const fullYear = year.twoDigit ? expandYear(year.year) : year.year;
+    return result(toIsoDate(fullYear, month, day.day), yearConfidence(year, CONFIDENCE.MEDIUM));
+}
+
+/**
+ * Apartment and unit numbers: "apartment four b" -> "Apt 4B",
+ * "suite two hundred" -> "Ste 200", "number 5" -> "# 5".
+ * Without a designator the unit is written with "#", at low confidence.
+ */
+function parseSpokenUnit(text) {
+    if (!text) return result(null);
+    
+    const typed = String(text).trim();
+    const tokens = tokenize(typed.replace(/#/g, ' # '));
+    let designator = null;
+    const identifier = [];
+    let numberWords = [];
+    let guessed = false;
+    
+    const flushNumberWords = () => {
+        if (numberWords.length) {
+            identifier.push(convertVerbalToNumeric(numberWords.join(' ')));
+            numberWords = [];
+        }
+    };
+    
+    for (const token of tokens) {
+        if (!designator && identifier.length === 0 && numberWords.length === 0 && UNIT_DESIGNATORS[token]) {
+            designator = UNIT_DESIGNATORS[token];
+        } else if (VERBAL_NUMBERS[token] || (token === 'oh' && numberWords.length)) {
+            numberWords.push(token === 'oh' ? 'zero' : token);
+        } else if (/^[0-9]+[a-z]?$/.test(token) || /^[a-z]$/.test(token)) {
+            flushNumberWords();
+            identifier.push(token.toUpperCase());
+        } else {
+            guessed = true;
+        }
+    }
+    flushNumberWords();
+    
+    if (identifier.length === 0) return result(null);
+    
+    const value = `${designator || '#'} ${identifier.join('')}`;
+    if (!designator) guessed = true;
+    
+    const canonical = value.toLowerCase() === typed.toLowerCase().replace(/\s+/g, ' ');
+    const confidence = guessed ? CONFIDENCE.LOW : (canonical ? CONFIDENCE.HIGH : CONFIDENCE.MEDIUM);
+    return result(value, confidence);
+}
+
+/**
+ * Member IDs and group numbers read out character by character:
+ * "x y z one two three double four" -> "XYZ12344". A lone "o" is the letter,
+ * "oh" the digit. Spelled-out numbers ("twelve") are taken at low confidence.
+ */
+function parseSpokenCode(text) {
+    if (!text) return result(null);
+    
+    const typed = String(text).trim();
+    if (/^[a-z0-9-]+$/i.test(typed)) {
+        return result(typed.replace(/-/g, '').toUpperCase(), CONFIDENCE.HIGH);
+    }
+    
+    const tokens = tokenize(typed);
+    let code = '';
+    let guessed = false;
+    
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const next = tokens[i + 1];
+        
+        if (token.length === 1 && /[a-z0-9]/.test(token)) {
+            code += token.toUpperCase();
+        } else if (DIGIT_WORDS[token]) {
+            code += DIGIT_WORDS[token];
+        } else if (REPEAT_WORDS[token] && next && (DIGIT_WORDS[next] || next.length === 1)) {
+            code += (DIGIT_WORDS[next] || next.toUpperCase()).repeat(REPEAT_WORDS[token]);
+            i++;
+        } else if (VERBAL_NUMBERS[token]) {
+            code += VERBAL_NUMBERS[token];
+            guessed = true;
+        } else if (FILLER_WORDS.has(token)) {
+            continue;
+        } else if (/^[a-z0-9]+$/.test(token)) {
+            code += token.toUpperCase();
+        } else {
+            guessed = true;
+        }
+    }
+    
+    return result(code, guessed ? CONFIDENCE.LOW : CONFIDENCE.MEDIUM);
+}
+
+/**
+ * Run the spoken-input parsers over an intake's dateOfBirth, phone, email and
+ * unit. Returns {values, confidence} keyed by field; fields that could not be
+ * read are left out of values.
+ */
+function normalizeSpokenFields(data) {
+    const parsed = {
+        dateOfBirth: parseSpokenDate(data.dateOfBirth),
+        phone: parseSpokenPhone(data.phone),
+        email: parseSpokenEmail(data.email),
+        unit: parseSpokenUnit(data.unit)
+    };
+    
+    const values = {};
+    const confidence = {};
+    for (const [field, {value, confidence: level}] of Object.entries(parsed)) {
+        if (value) {
+            values[field] = value;
+            confidence[field] = level;
+        }
+    }
+    return {values, confidence};
+}
+
+module.exports = {
+    CONFIDENCE,
+    UNIT_DESIGNATORS,
+    lowestConfidence,
+    parseSpokenDate,
+    parseSpokenEmail,
+    parseSpokenPhone,
+    parseSpokenUnit,
+    parseSpokenCode,
+    normalizeSpokenFields
+};
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {CHECK, stateForZip, standardizeAddress} = require('../address');
+
+test('standardizeAddress applies USPS abbreviations and splits the unit off the street', () => {
+    const address = standardizeAddress({
+        houseNumber: 'one twenty three',
+        street: 'north main street apartment four b',
+        city: 'las vegas',
+        state: 'Nevada',
+        zip: '89101-1234'
+    });
+
+    assert.equal(address.address1, '123 N Main St');
+    assert.equal(address.address2, 'Apt 4B');
+    assert.equal(address.city, 'Las Vegas');
+    assert.equal(address.state, 'NV');
+    assert.equal(address.zip, '89101');
+    assert.deepEqual(address.issues, []);
+    assert.equal(address.checks.zipState, CHECK.MATCH);
+    assert.deepEqual(
+        address.corrections.map(correction => correction.reason),
+        ['unit_split_and_usps_abbreviation', 'unit_split_from_street', 'zip_plus_four_removed', 'state_abbreviation', 'capitalization']
+    );
+});
+
+test('standardizeAddress keeps a whole-name directional and a street-name suffix', () => {
+    assert.equal(standardizeAddress({houseNumber: '5', street: 'North Street'}).address1, '5 North St');
+    assert.equal(standardizeAddress({houseNumber: '5', street: 'Court Street'}).address1, '5 Court St');
+});
+
+test('standardizeAddress pulls a ZIP said with the state and fills the state from the ZIP', () => {
+    const embedded = standardizeAddress({street: 'Main St', state: 'Nevada 89101'});
+    assert.equal(embedded.zip, '89101');
+    assert.equal(embedded.state, 'NV');
+
+    const fromZip = standardizeAddress({street: 'Main St', zip: '89101'});
+    assert.equal(fromZip.state, 'NV');
+    assert.equal(fromZip.checks.zipState, CHECK.MATCH);
+});
+
+test('standardizeAddress reports what it could not correct', () => {
+    const address = standardizeAddress({street: 'Main St', unit: 'Apt 2', state: 'Atlantis', zip: '8910'});
+    assert.equal(address.state, null);
+    assert.equal(address.zip, null);
+    assert.deepEqual(address.issues.map(issue => issue.code), ['invalid_zip', 'unknown_state']);
+
+    const mismatch = standardizeAddress({street: 'Main St', state: 'CA', zip: '89101'});
+    assert.equal(mismatch.checks.zipState, CHECK.MISMATCH);
+    assert.deepEqual(mismatch.issues.map(issue => issue.code), ['zip_state_mismatch']);
+
+    const conflict = standardizeAddress({street: '1 Main St Apt 3', unit: 'Apt 2'});
+    assert.equal(conflict.address2, 'Apt 2');
+    assert.deepEqual(conflict.issues.map(issue => issue.code), ['conflicting_unit']);
+});
+
+test('stateForZip finds the state a ZIP belongs to', () => {
+    assert.equal(stateForZip('89101'), 'NV');
+    assert.equal(stateForZip('10001'), 'NY');
+    assert.equal(stateForZip('8910'), null);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    convertVerbalToNumeric,
+    buildStreetAddress,
+    formatDateForAthena,
+    cleanPhone,
+    normalizeSex,
+    getStateAbbreviation
+} = require('../normalizers');
+
+test('convertVerbalToNumeric reads numbers said as words', () => {
+    assert.equal(convertVerbalToNumeric('42'), '42');
+    assert.equal(convertVerbalToNumeric('twelve'), '12');
+    assert.equal(convertVerbalToNumeric('forty-two'), '42');
+    assert.equal(convertVerbalToNumeric('one hundred twenty three'), '123');
+    assert.equal(convertVerbalToNumeric('one twenty three'), '123');
+    assert.equal(convertVerbalToNumeric('one zero one'), '101');
+    assert.equal(convertVerbalToNumeric('nineteen ninety'), '1990');
+    assert.equal(convertVerbalToNumeric('two thousand five'), '2005');
+    assert.equal(convertVerbalToNumeric('21st'), '21');
+    assert.equal(convertVerbalToNumeric('rear'), 'rear');
+    assert.equal(convertVerbalToNumeric(''), '');
+});
+
+test('buildStreetAddress joins the house number and street', () => {
+    assert.equal(buildStreetAddress('one twenty three', 'Main Street'), '123 Main Street');
+    assert.equal(buildStreetAddress('', '"Main Street"'), 'Main Street');
+    assert.equal(buildStreetAddress('12', ''), '12');
+});
+
+test('formatDateForAthena turns ISO dates into MM/DD/YYYY', () => {
+    assert.equal(formatDateForAthena('1990-01-15'), '01/15/1990');
+    assert.equal(formatDateForAthena('1990-13-15'), '');
+    assert.equal(formatDateForAthena('01/15/1990'), '01/15/1990');
+    assert.equal(formatDateForAthena(null), '');
+});
+
+test('cleanPhone keeps only valid NANP numbers', () => {
+    assert.equal(cleanPhone('(702) 555-1234'), '7025551234');
+    assert.equal(cleanPhone('1-702-555-1234'), '7025551234');
+    assert.equal(cleanPhone('702-155-1234'), '');
+    assert.equal(cleanPhone('555-1234'), '');
+});
+
+test('normalizeSex maps the ways callers answer to M or F', () => {
+    assert.equal(normalizeSex('female'), 'F');
+    assert.equal(normalizeSex('"Man"'), 'M');
+    assert.equal(normalizeSex('unknown'), '');
+});
+
+test('getStateAbbreviation maps state and territory names', () => {
+    assert.equal(getStateAbbreviation('Nevada'), 'NV');
+    assert.equal(getStateAbbreviation('new york'), 'NY');
+    assert.equal(getStateAbbreviation('nv'), 'NV');
+    assert.equal(getStateAbbreviation('Puerto Rico'), 'PR');
+    assert.equal(getStateAbbreviation('Atlantis'), 'Atlantis');
+});
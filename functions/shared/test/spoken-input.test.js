@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    CONFIDENCE,
+    parseSpokenDate,
+    parseSpokenPhone,
+    parseSpokenEmail,
+    parseSpokenUnit,
+    parseSpokenCode
+} = require('../spoken-input');
+
+test('parseSpokenDate reads typed dates', () => {
+    assert.deepEqual(parseSpokenDate('1990-01-15'), {value: '1990-01-15', confidence: CONFIDENCE.HIGH});
+    assert.deepEqual(parseSpokenDate('01/15/1990'), {value: '1990-01-15', confidence: CONFIDENCE.HIGH});
+    assert.deepEqual(parseSpokenDate('01-15-1990'), {value: '1990-01-15', confidence: CONFIDENCE.MEDIUM});
+});
+
+test('parseSpokenDate only doubts two-digit years that could be either century', () => {
+    assert.deepEqual(parseSpokenDate('12/05/90'), {value: '1990-12-05', confidence: CONFIDENCE.MEDIUM});
+    assert.deepEqual(parseSpokenDate('12/05/15'), {value: '2015-12-05', confidence: CONFIDENCE.LOW});
+    assert.deepEqual(parseSpokenDate('january fifteenth ninety'), {value: '1990-01-15', confidence: CONFIDENCE.MEDIUM});
+});
+
+test('parseSpokenDate reads the day, month and year in any spoken order', () => {
+    const expected = {value: '1990-01-15', confidence: CONFIDENCE.MEDIUM};
+    assert.deepEqual(parseSpokenDate('January fifteenth nineteen ninety'), expected);
+    assert.deepEqual(parseSpokenDate('the 15th of Jan 1990'), expected);
+    assert.deepEqual(parseSpokenDate('nineteen ninety january fifteen'), expected);
+    assert.deepEqual(parseSpokenDate('1990 January 15th'), expected);
+    assert.equal(parseSpokenDate('twenty first of march two thousand and five').value, '2005-03-21');
+    assert.equal(parseSpokenDate('may third nineteen oh five').value, '1905-05-03');
+});
+
+test('parseSpokenDate rejects impossible and incomplete dates', () => {
+    assert.equal(parseSpokenDate('02/30/1990').value, null);
+    assert.equal(parseSpokenDate('1990-13-01').value, null);
+    assert.equal(parseSpokenDate('nineteen ninety january').value, null);
+    assert.equal(parseSpokenDate('sometime in the spring').value, null);
+    assert.equal(parseSpokenDate('').value, null);
+});
+
+test('parseSpokenPhone reads typed and spoken numbers', () => {
+    assert.deepEqual(parseSpokenPhone('(702) 555-1234'), {value: '7025551234', confidence: CONFIDENCE.HIGH});
+    assert.deepEqual(parseSpokenPhone('+1 702 555 1234'), {value: '7025551234', confidence: CONFIDENCE.HIGH});
+    assert.deepEqual(
+        parseSpokenPhone('seven oh two five five five one two three four'),
+        {value: '7025551234', confidence: CONFIDENCE.MEDIUM}
+    );
+    assert.deepEqual(
+        parseSpokenPhone('my number is seven oh two double five five one two three four'),
+        {value: '7025551234', confidence: CONFIDENCE.MEDIUM}
+    );
+    assert.deepEqual(
+        parseSpokenPhone('seven oh two fifty five five twelve thirty four'),
+        {value: '7025551234', confidence: CONFIDENCE.LOW}
+    );
+});
+
+test('parseSpokenPhone rejects numbers that are not 10-digit NANP', () => {
+    assert.equal(parseSpokenPhone('555-1234').value, null);
+    assert.equal(parseSpokenPhone('123 456 7890').value, null);
+    assert.equal(parseSpokenPhone('call me maybe').value, null);
+});
+
+test('parseSpokenEmail reads spelled-out addresses', () => {
+    assert.deepEqual(parseSpokenEmail('Jane.Doe@Example.com'), {value: 'jane.doe@example.com', confidence: CONFIDENCE.HIGH});
+    assert.deepEqual(
+        parseSpokenEmail('john dot smith at example dot org'),
+        {value: 'john.smith@example.org', confidence: CONFIDENCE.MEDIUM}
+    );
+    assert.deepEqual(parseSpokenEmail('jane underscore doe at gmail'), {value: 'jane_doe@gmail.com', confidence: CONFIDENCE.LOW});
+    assert.equal(parseSpokenEmail('jane at nowhere').value, null);
+});
+
+test('parseSpokenUnit writes units with their USPS designator', () => {
+    assert.deepEqual(parseSpokenUnit('apartment four b'), {value: 'Apt 4B', confidence: CONFIDENCE.MEDIUM});
+    assert.deepEqual(parseSpokenUnit('suite two hundred'), {value: 'Ste 200', confidence: CONFIDENCE.MEDIUM});
+    assert.deepEqual(parseSpokenUnit('Apt 4B'), {value: 'Apt 4B', confidence: CONFIDENCE.HIGH});
+    assert.deepEqual(parseSpokenUnit('12'), {value: '# 12', confidence: CONFIDENCE.LOW});
+    assert.equal(parseSpokenUnit('apartment').value, null);
+});
+
+test('parseSpokenCode reads member IDs character by character', () => {
+    assert.deepEqual(parseSpokenCode('XYZ-123'), {value: 'XYZ123', confidence: CONFIDENCE.HIGH});
+    assert.deepEqual(
+        parseSpokenCode('x y z one two three double four'),
+        {value: 'XYZ12344', confidence: CONFIDENCE.MEDIUM}
+    );
+    assert.deepEqual(parseSpokenCode('a b twelve'), {value: 'AB12', confidence: CONFIDENCE.LOW});
+});
@@ -0,0 +1,116 @@
+/**
+ * On-demand Athena token refresh for Gabar AI
+ * Asks oauth-manager for a new token over the token-refresh topic and waits
+ * until the refreshed token lands in api_tokens/athena-current.
+ * Refreshes are single-flight: whoever holds api_tokens/athena-refresh-lease
+ * refreshes, everyone else waits for its token.
+ */
+
+const {ERROR_CLASS} = require('./athena-errors');
+
+const POLL_INTERVAL_MS = 1000;
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+// Long enough for one token request; a crashed holder frees it after this
+const DEFAULT_LEASE_MS = 60 * 1000;
+
+function toMillis(value) {
+    if (!value) return 0;
+    if (value.toMillis) return value.toMillis();
+    return new Date(value).getTime();
+}
+
+function refreshedAt(doc) {
+    return doc.exists ? toMillis(doc.data().lastRefreshed) : 0;
+}
+
+function leaseRef(firestore) {
+    return firestore.collection('api_tokens').doc('athena-refresh-lease');
+}
+
+/**
+ * Take the refresh lease. Returns true when `owner` now holds it, false while
+ * another owner's lease is still live.
+ */
+async function acquireRefreshLease(firestore, owner, leaseMs = DEFAULT_LEASE_MS) {
+    const ref = leaseRef(firestore);
+    return firestore.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        const lease = doc.exists ? doc.data() : null;
+        if (lease && lease.owner !== owner && toMillis(lease.expiresAt) > Date.now()) {
+            return false;
+        }
+        transaction.set(ref, {
+            owner: owner,
+            acquiredAt: new Date(),
+            expiresAt: new Date(Date.now() + leaseMs)
+        });
+        return true;
+    });
+}
+
+// Give the lease back, unless it already expired and someone else took it
+async function releaseRefreshLease(firestore, owner) {
+    const ref = leaseRef(firestore);
+    await firestore.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (doc.exists && doc.data().owner === owner) {
+            transaction.delete(ref);
+        }
+    });
+}
+
+async function isRefreshInFlight(firestore) {
+    const doc = await leaseRef(firestore).get();
+    return doc.exists && toMillis(doc.data().expiresAt) > Date.now();
+}
+
+/**
+ * Wait until the stored token was refreshed after `previous` (epoch ms).
+ * Returns the raw token document data.
+ */
+async function waitForRefresh(firestore, previous, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    const tokenRef = firestore.collection('api_tokens').doc('athena-current');
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+        const doc = await tokenRef.get();
+        if (refreshedAt(doc) > previous) {
+            console.log('🔑 Token refreshed');
+            return doc.data();
+        }
+    }
+    const error = new Error(`Timed out after ${timeoutMs}ms waiting for token refresh`);
+    error.classification = ERROR_CLASS.TRANSIENT;
+    throw error;
+}
+
+/**
+ * Get a new token. When a refresh is already running, nothing is published
+ * and the caller just waits for it. options: {reason, timeoutMs, tokenStore}
+ * where tokenStore decrypts the result.
+ */
+async function forceTokenRefresh(firestore, pubsub, options = {}) {
+    const tokenRef = firestore.collection('api_tokens').doc('athena-current');
+    const previous = refreshedAt(await tokenRef.get());
+    
+    if (await isRefreshInFlight(firestore)) {
+        console.log('🔑 Token refresh already in progress - waiting for it');
+    } else {
+        await pubsub.topic('token-refresh').publishMessage({
+            json: {
+                reason: options.reason || 'auth_error',
+                requestedAt: new Date().toISOString()
+            }
+        });
+    }
+    
+    const data = await waitForRefresh(firestore, previous, options.timeoutMs);
+    return options.tokenStore ? options.tokenStore.open(data) : data;
+}
+
+module.exports = {
+    acquireRefreshLease,
+    releaseRefreshLease,
+    waitForRefresh,
+    forceTokenRefresh
+};
@@ -0,0 +1,188 @@
+/**
+ * Encrypted Athena token storage for Gabar AI
+ * api_tokens/athena-current keeps the bearer token envelope-encrypted: each
+ * write seals the token with a fresh AES-256-GCM data key, and only that data
+ * key is wrapped by the key provider (Cloud KMS in production, a local key
+ * file in development). Expiry and refresh metadata stay readable.
+ *
+ * TOKEN_KMS_KEY  - projects/.../locations/.../keyRings/.../cryptoKeys/...
+ * TOKEN_KEY_FILE - path to a file with one base64 32-byte key per line,
+ *                  current key first
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+
+function seal(key, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return {
+        iv: iv.toString('base64'),
+        ciphertext: ciphertext.toString('base64'),
+        authTag: cipher.getAuthTag().toString('base64')
+    };
+}
+
+function unseal(key, sealed) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(sealed.authTag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(sealed.ciphertext, 'base64')), decipher.final()]);
+}
+
+/**
+ * Key file provider for development. Keys after the first still decrypt, so a
+ * new key can go on top, the token be re-encrypted, and the old line removed later.
+ */
+function createLocalKeyProvider(keyPath) {
+    const keys = fs.readFileSync(keyPath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => Buffer.from(line, 'base64'));
+    if (!keys.length || keys.some(key => key.length !== KEY_BYTES)) {
+        throw new Error(`${keyPath} must hold base64 ${KEY_BYTES}-byte keys, one per line`);
+    }
+    
+    const keyId = key => `local:${crypto.createHash('sha256').update(key).digest('hex').slice(0, 12)}`;
+    const keysById = new Map(keys.map(key => [keyId(key), key]));
+    
+    return {
+        name: 'local',
+        async currentKeyId() {
+            return keyId(keys[0]);
+        },
+        async wrap(dataKey) {
+            return {keyId: keyId(keys[0]), wrappedKey: JSON.stringify(seal(keys[0], dataKey))};
+        },
+        async unwrap(wrappedKey, wrappedKeyId) {
+            const key = keysById.get(wrappedKeyId);
+            if (!key) throw new Error(`Token key ${wrappedKeyId} is not in ${keyPath}`);
+            return unseal(key, JSON.parse(wrappedKey));
+        }
+    };
+}
+
+/**
+ * Cloud KMS provider for production. Data keys are wrapped by the key's
+ * primary version; KMS keeps older versions able to decrypt, so rotating the
+ * key never leaves the stored token unreadable.
+ */
+function createKmsKeyProvider(kmsClient, keyName) {
+    return {
+        name: 'kms',
+        async currentKeyId() {
+            const [cryptoKey] = await kmsClient.getCryptoKey({name: keyName});
+            return cryptoKey.primary.name;
+        },
+        async wrap(dataKey) {
+            const [result] = await kmsClient.encrypt({name: keyName, plaintext: dataKey});
+            return {keyId: result.name, wrappedKey: Buffer.from(result.ciphertext).toString('base64')};
+        },
+        async unwrap(wrappedKey) {
+            const [result] = await kmsClient.decrypt({name: keyName, ciphertext: Buffer.from(wrappedKey, 'base64')});
+            return Buffer.from(result.plaintext);
+        }
+    };
+}
+
+// KMS when TOKEN_KMS_KEY is set, otherwise the development key file
+function createKeyProvider({kmsClient} = {}) {
+    if (process.env.TOKEN_KMS_KEY) {
+        if (!kmsClient) throw new Error('TOKEN_KMS_KEY is set but no KMS client was provided');
+        return createKmsKeyProvider(kmsClient, process.env.TOKEN_KMS_KEY);
+    }
+    if (process.env.TOKEN_KEY_FILE) {
+        return createLocalKeyProvider(process.env.TOKEN_KEY_FILE);
+    }
+    throw new Error('No token encryption key configured: set TOKEN_KMS_KEY or TOKEN_KEY_FILE');
+}
+
+class TokenStore {
+    /**
+     * @param {object} deps {firestore, keyProvider} or {firestore, kmsClient}
+     * to pick the provider from the environment on first use
+     */
+    constructor({firestore, keyProvider, kmsClient}) {
+        this.firestore = firestore;
+        this.keyProvider = keyProvider || null;
+        this.kmsClient = kmsClient;
+        this.ref = firestore.collection('api_tokens').doc('athena-current');
+    }
+    
+    provider() {
+        if (!this.keyProvider) {
+            this.keyProvider = createKeyProvider({kmsClient: this.kmsClient});
+        }
+        return this.keyProvider;
+    }
+    
+    // Token document data with `token` in place of `encryptedToken`
+    async open(data) {
+        // Written before encryption; the next refresh stores it encrypted
+        if (!data.encryptedToken) return data;
+        
+        const {encryptedToken, ...metadata} = data;
+        const dataKey = await this.provider().unwrap(encryptedToken.wrappedKey, encryptedToken.keyId);
+        return {...metadata, token: unseal(dataKey, encryptedToken).toString('utf8')};
+    }
+    
+    // Token document data with `token` replaced by its envelope
+    async close(tokenData) {
+        const {token, ...metadata} = tokenData;
+        const dataKey = crypto.randomBytes(KEY_BYTES);
+        const {keyId, wrappedKey} = await this.provider().wrap(dataKey);
+        return {
+            ...metadata,
+            encryptedToken: {
+                algorithm: 'AES-256-GCM',
+                keyProvider: this.provider().name,
+                keyId,
+                wrappedKey,
+                ...seal(dataKey, Buffer.from(token, 'utf8'))
+            }
+        };
+    }
+    
+    // The decrypted token, or null when none has been stored
+    async read() {
+        const doc = await this.ref.get();
+        return doc.exists ? this.open(doc.data()) : null;
+    }
+    
+    async write(tokenData) {
+        await this.ref.set(await this.close(tokenData));
+    }
+    
+    /**
+     * Re-encrypt the stored token under the provider's current key. The
+     * transaction only commits if the token was not refreshed meanwhile, so
+     * readers always find a token they can decrypt.
+     */
+    async rotate() {
+        const currentKeyId = await this.provider().currentKeyId();
+        
+        return this.firestore.runTransaction(async (transaction) => {
+            const doc = await transaction.get(this.ref);
+            if (!doc.exists) return {rotated: false, reason: 'no_token'};
+            
+            const data = doc.data();
+            const previousKeyId = data.encryptedToken ? data.encryptedToken.keyId : 'plaintext';
+            if (previousKeyId === currentKeyId) return {rotated: false, reason: 'already_current'};
+            
+            const resealed = await this.close(await this.open(data));
+            transaction.set(this.ref, {...resealed, keyRotatedAt: new Date()});
+            return {rotated: true, from: previousKeyId, to: resealed.encryptedToken.keyId};
+        });
+    }
+}
+
+module.exports = {
+    TokenStore,
+    createKeyProvider,
+    createLocalKeyProvider,
+    createKmsKeyProvider
+};
@@ -0,0 +1,40 @@
+const { Firestore } = require('@google-cloud/firestore');
+const firestore = new Firestore();
+
+// Statuses appointment-sync still checks
+const ACTIVE_STATUSES = ['booked', 'checked-in'];
+
+// Athena's MM/DD/YYYY and HH:MM stored as if UTC, like appointment-booker does
+function appointmentAt(date, startTime) {
+  const [month, day, year] = String(date || '').split('/').map(p => parseInt(p, 10));
+  if ([month, day, year].some(isNaN)) return null;
+  const [hour, minute] = (startTime || '00:00').split(':').map(p => parseInt(p, 10));
+  return new Date(Date.UTC(year, month - 1, day, hour || 0, minute || 0));
+}
+
+// appointment-sync only range-queries appointmentAt; appointments booked before
+// it was written would never be checked again without it
+async function backfillAppointmentTimes() {
+  console.log('Starting to backfill appointmentAt...');
+
+  const snapshot = await firestore
+    .collection('appointments')
+    .where('status', 'in', ACTIVE_STATUSES)
+    .get();
+
+  let updated = 0;
+  for (const doc of snapshot.docs) {
+    const data = doc.data();
+    if (doc.id === '_schema_example' || data.appointmentAt) continue;
+
+    // Undated appointments count from when they were booked
+    const time = appointmentAt(data.appointmentDate, data.appointmentTime) ||
+      (data.bookedAt ? data.bookedAt.toDate() : new Date());
+    await doc.ref.update({ appointmentAt: time });
+    updated++;
+  }
+
+  console.log(`Finished backfilling appointmentAt on ${updated} of ${snapshot.size} active appointments.`);
+}
+
+backfillAppointmentTimes().catch(console.error);
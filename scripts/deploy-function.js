@@ -0,0 +1,107 @@
+// Deploy a Cloud Function together with the gabar-shared package.
+//
+// The functions depend on "gabar-shared": "file:../shared", which only exists
+// in this repo: gcloud uploads the function directory alone, so the build
+// cannot resolve it. This script stages a copy of the function with
+// functions/shared vendored inside it as gabar-shared/, points the dependency
+// and lockfile at the vendored copy, and deploys the staged copy.
+//
+// Usage:
+//   node deploy-function.js <function-dir> [gcloud functions deploy arguments...]
+//   npm run deploy -- bland-webhook bland-webhook --gen2 --runtime=nodejs20 \
+//     --region=us-central1 --trigger-http --entry-point=blandWebhook
+//
+// With only <function-dir> the staged copy is left in place and its path
+// printed, for deploying by hand with --source.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const FUNCTIONS_DIR = path.join(__dirname, '..', 'functions');
+const SHARED_DIR = path.join(FUNCTIONS_DIR, 'shared');
+const SHARED_PACKAGE = 'gabar-shared';
+const VENDORED_SPEC = `file:${SHARED_PACKAGE}`;
+
+// Never uploaded: installed dependencies and local-only tests
+const SKIPPED = new Set(['node_modules', 'test']);
+
+function copyDirectory(from, to) {
+  fs.cpSync(from, to, {
+    recursive: true,
+    filter: source => !SKIPPED.has(path.basename(source)),
+  });
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJson(file, data) {
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+// Re-resolve package-lock.json against the vendored copy, so the build's
+// npm ci installs gabar-shared and its own dependencies from the staged source
+function relockFunction(stagingDir) {
+  const relock = spawnSync('npm', ['install', '--package-lock-only', '--no-audit', '--no-fund'], {
+    cwd: stagingDir,
+    stdio: 'inherit',
+  });
+  if (relock.error) throw relock.error;
+  if (relock.status !== 0) throw new Error(`npm could not update the lockfile in ${stagingDir}`);
+}
+
+// Copy the function and gabar-shared into a fresh directory; returns its path
+function stageFunction(functionDir) {
+  const sourceDir = path.join(FUNCTIONS_DIR, functionDir);
+  if (functionDir === 'shared' || !fs.existsSync(path.join(sourceDir, 'package.json'))) {
+    throw new Error(`${functionDir} is not a function directory under functions/`);
+  }
+
+  const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), `deploy-${functionDir}-`));
+  copyDirectory(sourceDir, stagingDir);
+
+  const packageFile = path.join(stagingDir, 'package.json');
+  const pkg = readJson(packageFile);
+  if (pkg.dependencies && pkg.dependencies[SHARED_PACKAGE]) {
+    copyDirectory(SHARED_DIR, path.join(stagingDir, SHARED_PACKAGE));
+    pkg.dependencies[SHARED_PACKAGE] = VENDORED_SPEC;
+    writeJson(packageFile, pkg);
+    relockFunction(stagingDir);
+  }
+
+  return stagingDir;
+}
+
+function deployFunction() {
+  const [functionDir, ...deployArgs] = process.argv.slice(2);
+  if (!functionDir) {
+    console.error('Usage: node deploy-function.js <function-dir> [gcloud functions deploy arguments...]');
+    process.exit(1);
+  }
+
+  const stagingDir = stageFunction(functionDir);
+  console.log(`Staged ${functionDir} with ${SHARED_PACKAGE} in ${stagingDir}`);
+
+  if (deployArgs.length === 0) {
+    console.log(`Deploy it with: gcloud functions deploy <name> ... --source=${stagingDir}`);
+    return;
+  }
+
+  const deploy = spawnSync('gcloud', ['functions', 'deploy', ...deployArgs, `--source=${stagingDir}`], {
+    stdio: 'inherit',
+  });
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+
+  if (deploy.error) throw deploy.error;
+  process.exit(deploy.status);
+}
+
+try {
+  deployFunction();
+} catch (error) {
+  console.error('Deploy failed:', error.message);
+  process.exit(1);
+}
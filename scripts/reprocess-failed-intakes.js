@@ -4,11 +4,12 @@ const firestore = new Firestore();
 async function reprocessFailedIntakes() {
   console.log('Starting to re-process failed intakes...');
 
+  const now = new Date();
   const fifteenMinutesAgo = new Date(Date.now() - 15 * 60 * 1000);
 
   const snapshot = await firestore
     .collection('patient_intake_queue')
-    .where('status', 'in', ['error', 'processing'])
+    .where('status', 'in', ['error', 'processing', 'pending'])
     .get();
 
   if (snapshot.empty) {
@@ -20,13 +21,31 @@ async function reprocessFailedIntakes() {
 
   for (const doc of snapshot.docs) {
     const data = doc.data();
-    if (data.status === 'error' || (data.status === 'processing' && data.processingStarted.toDate() < fifteenMinutesAgo)) {
+    // intake-processor reclaims expired leases itself; older intakes have no lease
+    const stuck = data.status === 'processing' && (data.leaseExpiresAt
+      ? data.leaseExpiresAt.toDate() < now
+      : data.processingStarted.toDate() < fifteenMinutesAgo);
+    // intake-processor queries pending intakes on priority and dueAt
+    if (data.status === 'pending' && doc.id !== '_schema_example' && !data.dueAt) {
+      console.log(`Adding queue fields to pending intake ${doc.id}`);
+      await doc.ref.update({
+        priority: data.priority || 'normal',
+        dueAt: data.notBefore || data.createdAt || now,
+      });
+      continue;
+    }
+    if (data.status === 'error' || stuck) {
       console.log(`Re-queueing intake ${doc.id}`);
       await doc.ref.update({
         status: 'pending',
         error: null,
         errorAt: null,
         processingStarted: null,
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        retryCount: 0, // A manual re-queue gets a fresh set of attempts
+        priority: data.priority || 'normal', // Older intakes predate lanes and dueAt
+        dueAt: data.notBefore || data.createdAt || now,
       });
     }
   }
@@ -1,6 +1,17 @@
 // File: /home/claude/test-flow.js
 
 const axios = require('axios');
+const crypto = require('crypto');
+
+// Sign the request the same way Bland does when BLAND_WEBHOOK_SECRET is set
+function signRequest(body, secret) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return {'x-bland-timestamp': timestamp, 'x-bland-signature': signature};
+}
 
 async function testFlow() {
   const testData = {
@@ -24,13 +35,17 @@ async function testFlow() {
     }
   };
   
+  const body = JSON.stringify(testData);
+  const secret = process.env.BLAND_WEBHOOK_SECRET;
+  
   try {
     const response = await axios.post(
       'https://us-central1-gabar-ai-athena-integration.cloudfunctions.net/blandWebhook',
-      testData,
+      body,
       {
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...(secret ? signRequest(body, secret) : {})
         }
       }
     );
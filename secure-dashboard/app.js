@@ -18,6 +18,14 @@ app.use(basicAuth({
     realm: 'Gabar AI Patient Dashboard'
 }));
 
+// Appointment outcomes synced back from Athena
+const APPOINTMENT_OUTCOMES = {
+    'checked-in': {text: 'Checked In', badge: 'badge-success'},
+    'completed': {text: 'Completed', badge: 'badge-success'},
+    'cancelled': {text: 'Cancelled', badge: 'badge-pending'},
+    'no-show': {text: 'No-Show', badge: 'badge-missed'}
+};
+
 app.get('/', async (req, res) => {
     const snapshot = await firestore.collection('patient_summary')
         .orderBy('lastActivity', 'desc')
@@ -39,8 +47,12 @@ app.get('/', async (req, res) => {
                 ? new Date(data.lastActivity._seconds * 1000).toLocaleString()
                 : '-';
 
-            const hasAppointment = data.appointmentId ? 'badge-success' : 'badge-pending';
-            const statusText = data.appointmentId ? 'Scheduled' : 'Pending';
+            const outcome = APPOINTMENT_OUTCOMES[data.appointmentStatus];
+            const hasAppointment = outcome ? outcome.badge
+                : (data.appointmentId ? 'badge-success' : 'badge-pending');
+            const statusText = outcome ? outcome.text
+                : data.appointmentMovedFrom ? 'Moved'
+                : (data.appointmentId ? 'Scheduled' : 'Pending');
 
             const patientRecordCreated = data.patientRecordCreated ? '✅' : '❌';
             const bookedAppt = data.bookedAppt ? '✅' : '❌';
@@ -28,12 +28,26 @@ async function setupCollections() {
         sex: 'F',
         houseNumber: '123',
         street: 'Example Street',
+        unit: 'Apt 4B', // Canonical form from spoken-input ("apartment four b")
         city: 'Test City',
         state: 'California',
         zip: '90210',
+        preferredLanguage: 'spa', // ISO 639-2
+        contactPreference: 'text', // Can be: text, call, email, mail
+        visitReason: 'Follow-up for knee pain', // Caller's words; becomes the Athena appointment note
+        callSummary: 'Caller asked for a morning slot and confirmed insurance.',
+        emergencyContact: {name: 'Jane Patient', relationship: 'SPOUSE', phone: '5559876543'},
+        guarantor: null, // Required for minors: {firstName, lastName, dateOfBirth, relationship, phone}
         appointmentId: 'APPOINTMENT_ID_FROM_ATHENA',
         appointmentTypeId: '15',
-        status: 'pending', // Can be: pending, processing, completed, error
+        status: 'pending', // Can be: pending, paused, processing, review, completed, error
+        priority: 'normal', // Queue lane: urgent, high, normal, low (drained in that order)
+        notBefore: null, // Staff hold: not processed before this time
+        dueAt: null, // notBefore, else createdAt; the queue is queried on it (null keeps this example out)
+        correlationId: 'CORRELATION_ID', // Key of this call's intake_timeline doc
+        retryCount: 0, // Claims so far; at intakeMaxAttempts the intake is dead-lettered
+        leaseOwner: null, // intake-processor run holding the intake while processing
+        leaseExpiresAt: null, // After this a processing intake is reclaimed
         createdAt: new Date(),
         airtableId: 'ORIGINAL_AIRTABLE_ID',
         _note: 'This is a schema example document for reference'
@@ -56,6 +70,11 @@ async function setupCollections() {
         // Athena integration data
         athenaPatientId: '12345',
         athenaCreatedAt: new Date(),
+        // Address as sent to Athena, with every change the standardizer made
+        streetAddress: '123 Example St',
+        addressCorrections: [{field: 'address1', from: '123 Example Street', to: '123 Example St', reason: 'usps_abbreviation'}],
+        addressIssues: [], // e.g. {field: 'zip', code: 'zip_state_mismatch', message}
+        addressChecks: {zipState: 'match', zipCity: 'unverified'},
         // Processing metadata
         status: 'active',
         lastUpdated: new Date(),
@@ -78,7 +97,17 @@ async function setupCollections() {
         providerId: '71',
         appointmentDate: '2024-12-20',
         appointmentTime: '14:30',
-        status: 'booked', // Can be: pending, booked, completed, cancelled, no-show
+        appointmentAt: new Date('2024-12-20T14:30:00Z'), // Date and time as if UTC; appointment-sync range-queries it
+        status: 'booked', // Can be: pending, booked, moved, rescheduled, checked-in, completed, cancelled, no-show
+        athenaStatus: 'f', // Athena appointmentstatus as of the last sync
+        checkInTime: null,
+        lastSyncedAt: null, // Set by appointment-sync
+        movedFrom: null, // {appointmentId, date, startTime} when the requested slot was taken
+        requestedAppointmentId: '67890', // Slot the caller picked; differs from the doc ID after a move
+        visitReason: 'Follow-up for knee pain',
+        noteAdded: true, // Visit reason and call summary written to the Athena appointment
+        rescheduledTo: null, // New appointment ID once status is rescheduled
+        cancelReason: null, // Reason key once status is cancelled, e.g. 'patient_request'
         bookedAt: new Date(),
         lastModified: new Date(),
         originalRecordId: 'AIRTABLE_RECORD_ID',
@@ -86,6 +115,32 @@ async function setupCollections() {
     });
     console.log('✅ appointments collection created');
     
+    // Collection 3b: call_followups
+    // Calls that ended before the intake finished (voicemail, hang-up, transfer)
+    // The callback list staff work through, with whatever the caller already told us
+    console.log('\nCreating call_followups collection...');
+    const followupsRef = firestore.collection('call_followups').doc('_schema_example');
+    await followupsRef.set({
+        _description: 'Schema example for call follow-ups',
+        callId: 'BLAND_CALL_ID',
+        pathwayId: 'BLAND_PATHWAY_ID',
+        outcome: 'partial', // Can be: partial, voicemail, no_answer, transferred, invalid
+        callStatus: 'completed',
+        answeredBy: 'human',
+        transferredTo: null,
+        callLength: 1.5,
+        lastNodeId: 'collect_date_of_birth',
+        callbackPhone: '5551234567',
+        capturedVariables: {
+            first_name: 'Example'
+        },
+        invalidFields: [], // For invalid: intake fields that failed validation when the call ended
+        status: 'open', // Can be: open, contacted, closed
+        createdAt: new Date(),
+        _note: 'Variables captured before the call ended, for staff callback'
+    });
+    console.log('✅ call_followups collection created');
+    
     // Collection 4: api_tokens
     // Securely stores OAuth tokens for Athena API access
     // Like having a secure key card that expires and needs renewal
@@ -93,13 +148,21 @@ async function setupCollections() {
     const tokensRef = firestore.collection('api_tokens').doc('athena-current');
     await tokensRef.set({
         _description: 'Current Athena OAuth token storage',
-        token: 'ENCRYPTED_TOKEN_PLACEHOLDER',
+        encryptedToken: {
+            algorithm: 'AES-256-GCM',
+            keyProvider: 'kms',
+            keyId: 'projects/.../cryptoKeys/athena-token/cryptoKeyVersions/1',
+            wrappedKey: 'WRAPPED_DATA_KEY_PLACEHOLDER',
+            iv: 'IV_PLACEHOLDER',
+            ciphertext: 'ENCRYPTED_TOKEN_PLACEHOLDER',
+            authTag: 'AUTH_TAG_PLACEHOLDER'
+        },
         type: 'Bearer',
         expiresAt: new Date(Date.now() + 3000000), // 50 minutes from now
         createdAt: new Date(),
         service: 'Athenahealth',
         environment: 'production',
-        _note: 'Actual tokens will be encrypted and managed by Cloud Functions'
+        _note: 'Tokens are envelope-encrypted by oauth-manager (Cloud KMS in production, TOKEN_KEY_FILE in development)'
     });
     console.log('✅ api_tokens collection created');
     
@@ -123,6 +186,177 @@ async function setupCollections() {
     });
     console.log('✅ errors collection created');
     
+    // Collection 5b: staff_reviews
+    // Intakes the pipeline could not decide on by itself
+    // The front desk's to-do list for anything that needs a human decision
+    console.log('\nCreating staff_reviews collection...');
+    const reviewsRef = firestore.collection('staff_reviews').doc('_schema_example');
+    await reviewsRef.set({
+        _description: 'Schema example for staff reviews',
+        type: 'ambiguous_patient_match',
+        queueId: 'INTAKE_QUEUE_ID',
+        firstName: 'Example',
+        lastName: 'Patient',
+        dateOfBirth: '1990-01-01',
+        candidates: [
+            {patientId: '12345', score: 20, phoneMatches: false}
+        ],
+        status: 'open', // Can be: open, resolved
+        createdAt: new Date(),
+        _note: 'Staff resolve these before the intake continues'
+    });
+    console.log('✅ staff_reviews collection created');
+    
+    // Collection 5c: patient_insurance
+    // One document per intake whose caller gave insurance, keyed on the intake ID
+    console.log('\nCreating patient_insurance collection...');
+    const insuranceRef = firestore.collection('patient_insurance').doc('_schema_example');
+    await insuranceRef.set({
+        _description: 'Schema example for caller-reported insurance',
+        status: 'created', // Can be: creating, created, review
+        athenaPatientId: '12345',
+        insurancePackageId: '1234',
+        payerName: 'Example Health Plan',
+        spokenPayerName: 'example health',
+        athenaInsuranceId: '67890',
+        createdAt: new Date(),
+        _note: 'Payers that cannot be matched go to staff_reviews with type "insurance"'
+    });
+    console.log('✅ patient_insurance collection created');
+    
+    // Collection 5d: demographic_audit
+    // One entry per chart field changed for a returning patient, before and after
+    console.log('\nCreating demographic_audit collection...');
+    const auditRef = firestore.collection('demographic_audit').doc('_schema_example');
+    await auditRef.set({
+        _description: 'Schema example for demographic changes',
+        queueId: 'INTAKE_QUEUE_ID',
+        athenaPatientId: '12345',
+        field: 'mobilephone',
+        from: '5551234567',
+        to: '5559876543',
+        sensitive: false,
+        status: 'applied', // Can be: applied, pending_approval, rejected
+        source: 'intake',
+        recordedAt: new Date(),
+        _note: 'Name, DOB and sex changes stay pending_approval until staff decide in staff_reviews'
+    });
+    console.log('✅ demographic_audit collection created');
+    
+    // Collection 5e: intake_action_log
+    // Staff pause, resume, hold and reprioritize actions on queued intakes
+    console.log('\nCreating intake_action_log collection...');
+    const actionLogRef = firestore.collection('intake_action_log').doc('_schema_example');
+    await actionLogRef.set({
+        _description: 'Schema example for staff actions on the intake queue',
+        queueId: 'INTAKE_QUEUE_ID',
+        action: 'hold', // Can be: pause, resume, hold, reprioritize
+        requestedBy: 'staff@example.com',
+        reason: 'Waiting on corrected date of birth',
+        outcome: 'applied', // Can be: applied, rejected
+        fromStatus: 'pending',
+        toStatus: 'pending',
+        changes: {status: 'pending', notBefore: new Date(Date.now() + 3600000)},
+        rejectionReason: null,
+        timestamp: new Date()
+    });
+    console.log('✅ intake_action_log collection created');
+    
+    // Collection 5f: intake_timeline
+    // One doc per call, keyed on the correlation ID blandWebhook creates; its
+    // events subcollection is the ordered history from call to dashboard
+    console.log('\nCreating intake_timeline collection...');
+    const timelineRef = firestore.collection('intake_timeline').doc('_schema_example');
+    await timelineRef.set({
+        _description: 'Schema example for the per-call event timeline',
+        correlationId: '_schema_example',
+        queueId: 'INTAKE_QUEUE_ID',
+        callId: 'BLAND_CALL_ID',
+        source: 'bland',
+        athenaPatientId: '12345',
+        appointmentId: '67890',
+        eventCount: 1,
+        lastEvent: 'received', // Can be: received, normalized, created, booked, alerted, failed
+        createdAt: new Date(),
+        updatedAt: new Date()
+    });
+    await timelineRef.collection('events').doc('0001').set({
+        sequence: 1,
+        event: 'received',
+        source: 'bland-webhook',
+        details: {source: 'bland', callId: 'BLAND_CALL_ID', pathwayId: 'PATHWAY_ID'},
+        at: new Date()
+    });
+    console.log('✅ intake_timeline collection created');
+    
+    // Collection 5g: activity_rollups
+    // Funnel counters activity-logger keeps per day and per hour (practice time)
+    // so dashboards do not have to read the raw patient_activity_log
+    console.log('\nCreating activity_rollups collection...');
+    const funnelCounters = {
+        callsReceived: 12,
+        callsDropped: 2,
+        intakesValid: 9,
+        patientsCreated: 6,
+        patientsMatched: 2,
+        appointmentsBooked: 7,
+        callLengthTotal: 48.5, // Average call length is callLengthTotal / callLengthCount
+        callLengthCount: 12,
+        droppedAtNode: {insurance_question: 1, unknown: 1}, // lastNodeId where unfinished calls ended
+        failures: {validation: 1, appointment_booking: 1} // By failureType
+    };
+    await firestore.collection('activity_rollups').doc('_schema_example').set({
+        _description: 'Schema example for daily_YYYY-MM-DD and hourly_YYYY-MM-DDTHH rollup docs',
+        period: 'daily', // Can be: daily, hourly
+        periodKey: '2024-01-15',
+        timeZone: 'America/Los_Angeles',
+        ...funnelCounters,
+        byPathway: {PATHWAY_ID: funnelCounters}, // The same counters per Bland pathway
+        updatedAt: new Date()
+    });
+    console.log('✅ activity_rollups collection created');
+    
+    // Collection 5h: patient_lookups
+    // Confident matches from the mid-call patient lookup. The pathway only gets
+    // the doc ID (patient_match_id); patient-creator resolves it and re-checks the chart
+    console.log('\nCreating patient_lookups collection...');
+    await firestore.collection('patient_lookups').doc('_schema_example').set({
+        _description: 'Schema example for mid-call patient lookup matches',
+        athenaPatientId: '12345',
+        firstName: 'Example',
+        lastName: 'Patient',
+        dob: '01/01/1990', // MM/DD/YYYY, as searched
+        createdAt: new Date(),
+        expiresAt: new Date(Date.now() + 86400000) // Firestore TTL policy removes expired lookups
+    });
+    console.log('✅ patient_lookups collection created');
+    
+    // Collection 5i: sync_state
+    // Where appointment-sync stopped, so the next run continues from there
+    console.log('\nCreating sync_state collection...');
+    await firestore.collection('sync_state').doc('appointment-sync').set({
+        appointmentAt: null, // appointmentAt of the last appointment checked
+        appointmentId: null,
+        updatedAt: new Date()
+    });
+    console.log('✅ sync_state collection created');
+    
+    // Collection 5j: call_metrics
+    // Which funnel counts bland-webhook already published for a call, so
+    // re-asks and repeated end-of-call deliveries count the call once
+    console.log('\nCreating call_metrics collection...');
+    await firestore.collection('call_metrics').doc('_schema_example').set({
+        _description: 'Schema example for per-call metrics markers, keyed {source}_{callId}',
+        received: true,
+        intakeValid: true,
+        intakeRejected: false,
+        dropped: false,
+        callLength: true,
+        updatedAt: new Date(),
+        expiresAt: new Date(Date.now() + 7 * 86400000) // Firestore TTL policy removes old markers
+    });
+    console.log('✅ call_metrics collection created');
+    
     // Collection 6: configuration
     // Stores system configuration and settings
     // Like your integration's control panel settings
@@ -132,14 +366,55 @@ async function setupCollections() {
         practiceId: '27998',
         departmentId: '1',
         defaultAppointmentTypeId: '15',
-        processingBatchSize: 10,
+        processingBatchSize: 10, // Intakes claimed per intake-processor run
+        intakeLeaseMinutes: 15, // An unfinished intake is reclaimed after this
+        intakeMaxAttempts: 5, // Claims per intake before it is dead-lettered
         retryAttempts: 3,
         retryDelayMs: 2000,
-        environment: 'production',
+        slotRecoveryWindowDays: 7, // How far from a taken slot the booker looks for another
+        appointmentCancelReasons: {default: '1', patient_request: '1'}, // Reason key -> Athena appointmentcancelreasonid
+        appointmentSyncLookbackDays: 7, // Past appointments still checked for an outcome
+        appointmentSyncBatchSize: 200,
+        environment: 'production', // Can be: production, preview (picks the Athena host and OAuth client)
+        athenaScope: 'athena/service/Athenanet.MDP.*', // Scope requested by oauth-manager
         createdAt: new Date(),
         lastModified: new Date(),
         _note: 'Central configuration for the integration'
     });
+    
+    // Pathway routing table: maps a Bland pathway (and optional call variables)
+    // to the practice, department, provider and appointment type it books into
+    const routingRef = firestore.collection('configuration').doc('pathway_routing');
+    await routingRef.set({
+        defaults: {
+            departmentId: '1',
+            appointmentTypeId: '15',
+            sendConfirmationEmail: true
+        },
+        routes: [
+            {
+                id: 'example-annual-physical',
+                pathwayId: 'BLAND_PATHWAY_ID',
+                when: {visit_reason: ['physical', 'annual physical']},
+                departmentId: '1',
+                providerId: '71',
+                appointmentTypeId: '15',
+                sendConfirmationEmail: true
+            }
+        ],
+        lastModified: new Date(),
+        _note: 'More specific routes (more "when" conditions) win; pathwayId "*" matches any pathway'
+    });
+    
+    // Payer list the spoken insurance name is matched against
+    const payersRef = firestore.collection('configuration').doc('insurance_payers');
+    await payersRef.set({
+        payers: [
+            {insurancePackageId: '1234', name: 'Example Health Plan', aliases: ['example', 'ehp']}
+        ],
+        lastModified: new Date(),
+        _note: 'insurancePackageId is the Athena insurance package; aliases are names callers actually say'
+    });
     console.log('✅ configuration collection created');
     
     console.log('\n🎉 All Firestore collections have been successfully created!');
@@ -147,8 +422,18 @@ async function setupCollections() {
     console.log('  - patient_intake_queue (pending patient registrations)');
     console.log('  - patients (registered patients with Athena IDs)');
     console.log('  - appointments (appointment bookings and status)');
+    console.log('  - call_followups (unfinished calls for staff callback)');
     console.log('  - api_tokens (OAuth token storage)');
     console.log('  - errors (error logging and debugging)');
+    console.log('  - staff_reviews (intakes waiting on a staff decision)');
+    console.log('  - patient_insurance (insurance added to new charts)');
+    console.log('  - demographic_audit (field-level chart changes)');
+    console.log('  - intake_action_log (staff actions on queued intakes)');
+    console.log('  - intake_timeline (per-call event history by correlation ID)');
+    console.log('  - activity_rollups (daily and hourly funnel metrics)');
+    console.log('  - patient_lookups (mid-call patient lookup matches)');
+    console.log('  - sync_state (where appointment-sync left off)');
+    console.log('  - call_metrics (funnel counts already made per call)');
     console.log('  - configuration (system settings)');
 }
 
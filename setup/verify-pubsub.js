@@ -27,10 +27,46 @@ async function verifyPubSub() {
             purpose: 'Messages for booking appointments after patient creation',
             subscription: 'book-appointment-sub'
         },
+        'cancel-appointment': {
+            purpose: 'Messages for cancelling booked appointments',
+            subscription: 'cancel-appointment-sub'
+        },
+        'reschedule-appointment': {
+            purpose: 'Messages for moving booked appointments to another slot',
+            subscription: 'reschedule-appointment-sub'
+        },
+        'appointment-sync': {
+            purpose: 'Scheduled trigger for syncing appointment outcomes from Athena',
+            subscription: 'appointment-sync-sub'
+        },
+        'appointment-booked': {
+            purpose: 'Booked (or moved) appointments for the staff dashboard and alerts',
+            subscription: 'appointment-booked-sub'
+        },
+        'create-insurance': {
+            purpose: 'Messages for adding caller-reported insurance to new patients',
+            subscription: 'create-insurance-sub'
+        },
+        'intake-action': {
+            purpose: 'Staff pause, resume, hold and reprioritize actions on queued intakes',
+            subscription: 'intake-action-sub'
+        },
+        'demographic-approval': {
+            purpose: 'Staff decisions on name, DOB and sex changes for returning patients',
+            subscription: 'demographic-approval-sub'
+        },
+        'call-followup': {
+            purpose: 'Calls that ended before the intake finished (voicemail, hang-up, transfer)',
+            subscription: 'call-followup-sub'
+        },
         'token-refresh': {
             purpose: 'Triggers OAuth token refresh for AthenaHealth API',
             subscription: 'token-refresh-sub'
         },
+        'token-key-rotation': {
+            purpose: 'Re-encrypts the stored OAuth token after its key is rotated',
+            subscription: 'token-key-rotation-sub'
+        },
         'error-notifications': {
             purpose: 'Collects error messages for monitoring',
             subscription: 'error-notification-sub'
@@ -123,7 +159,16 @@ async function verifyPubSub() {
     console.log('                           ↓');
     console.log('                  Appointment Scheduled');
     console.log('');
+    console.log('  [cancel-appointment] → Appointment Cancelled in Athena');
+    console.log('  [reschedule-appointment] → Appointment Moved to a New Slot');
+    console.log('  [appointment-sync] → Checked-In, Completed and No-Show Outcomes');
+    console.log('  [appointment-booked] → Dashboard Row and Staff Alert');
+    console.log('  [create-insurance] → Insurance Added to New Charts');
+    console.log('  [intake-action] → Intakes Paused, Held or Reprioritized');
+    console.log('  [demographic-approval] → Staff-Approved Chart Changes');
+    console.log('  [call-followup] → Unfinished Calls for Staff Callback');
     console.log('  [token-refresh] → Maintains OAuth Authentication');
+    console.log('  [token-key-rotation] → Token Re-Encrypted Under the New Key');
     console.log('  [error-notifications] → Monitors All Errors');
     console.log('  [dead-letter-queue] → Catches Failed Messages');
     
@@ -132,8 +177,8 @@ async function verifyPubSub() {
     if (allTopicsPresent && allSubscriptionsPresent) {
         console.log('🎉 PUB/SUB INFRASTRUCTURE COMPLETE!\n');
         console.log('Your message routing system is ready with:');
-        console.log('  ✓ 6 topics for different message types');
-        console.log('  ✓ 6 subscriptions for message processing');
+        console.log(`  ✓ ${Object.keys(expectedTopics).length} topics for different message types`);
+        console.log(`  ✓ ${Object.keys(expectedTopics).length} subscriptions for message processing`);
         console.log('  ✓ Dead letter queue for error handling');
         console.log('  ✓ Message retention for compliance');
         console.log('  ✓ Automatic retry with exponential backoff');
@@ -24,6 +24,8 @@ async function verifySecrets() {
         },
         optional: {
             'athena-api-key': { expected: null, sensitive: true },
+            'athena-preview-client-id': { expected: null, sensitive: true },
+            'athena-preview-client-secret': { expected: null, sensitive: true },
             'airtable-tokens-table-id': { expected: 'tblNjaIWPII8jFQ5V', sensitive: false },
             'airtable-appointment-table-id': { expected: 'tblBnIqVEgWkWFkeM', sensitive: false }
         }
@@ -29,7 +29,7 @@ async function verifyToken() {
         console.log('─'.repeat(50));
         console.log(`   Type: ${data.type}`);
         console.log(`   Service: ${data.service}`);
-        console.log(`   Token length: ${data.token ? data.token.length : 0} characters`);
+        console.log(`   Encryption: ${data.encryptedToken ? `${data.encryptedToken.keyProvider} (${data.encryptedToken.keyId})` : 'none'}`);
         console.log(`   Created: ${createdAt.toLocaleString()}`);
         console.log(`   Created ${minutesSinceCreation} minutes ago`);
         console.log(`   Expires: ${expiresAt.toLocaleString()}`);
@@ -46,13 +46,19 @@ async function verifyToken() {
             console.log('   ✅ Token is valid and fresh');
         }
         
-        // Check if token looks valid (should be a long string)
-        if (data.token && data.token.length > 100) {
-            console.log('   ✅ Token format looks correct');
+        // The token must only be stored encrypted
+        if (data.encryptedToken && data.encryptedToken.ciphertext) {
+            console.log('   ✅ Token is stored encrypted');
+        } else if (data.token) {
+            console.log('   ⚠️  Token is stored in plaintext - the next refresh encrypts it');
         } else {
             console.log('   ⚠️  Token might be malformed');
         }
         
+        if (data.keyRotatedAt) {
+            console.log(`   Key rotated: ${data.keyRotatedAt.toDate().toLocaleString()}`);
+        }
+    
     } catch (error) {
         console.error('❌ Error checking token:', error.message);
     }